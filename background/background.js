@@ -1,52 +1,130 @@
 /**
  * Google Flow Automation Pro - Background Service Worker
  * Handles workflow orchestration, timers, storage, and messaging
+ *
+ * This worker owns the queue: prompts, settings and workflow status only
+ * change here. The popup connects a 'popup' port, receives a snapshot and
+ * then a stream of diffs, and asks for changes with messages.
+ *
+ * MV3 may terminate this worker at any moment. Everything the engine needs
+ * to carry on lives in workflowState, which is plain JSON and persisted on
+ * every change; the workflow alarm wakes the worker and resumes a running
+ * workflow from that snapshot.
  */
 
 // ============================================
 // STATE
 // ============================================
+const WORKFLOW_ALARM = 'workflowTick';
+const WORKFLOW_ALARM_PERIOD_MINUTES = 0.5;
+const IN_FLIGHT_TIMEOUT_MS = 5 * 60 * 1000; // Content script gives up on images after 2 minutes
+const VIDEO_IN_FLIGHT_GRACE_MS = 3 * 60 * 1000; // Added to the video timeout
+const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000; // A prompt's downloads must settle within this
+const MAX_SEND_FAILURES = 3; // Sends in a row that may miss the tab before the run pauses
+const SEND_RETRY_BASE_MS = 5000; // Doubled after every failed send
+
 let workflowState = {
+  status: 'idle', // idle, running, paused, stopped, completed
   isRunning: false,
   isPaused: false,
   currentIndex: 0,
+  elapsedMs: 0, // Run time banked before the current running stretch
+  runStartedAt: null, // Start of the current running stretch
   prompts: [],
   settings: {
+    mediaType: 'image', // 'image' or 'video' generation in Flow
+    videoTimeoutMinutes: 10, // Videos take minutes; give up on one after this
     outputCount: 2,
+    aspectRatio: 'landscape', // landscape, portrait or square
+    model: '', // Model/quality as Flow names it; empty keeps Flow's choice
     downloadFolder: 'FlowGenerations',
-    intervalSeconds: 2
+    intervalSeconds: 2, // Minimum gap between two submits
+    maxInFlight: 3, // Generations allowed to run in Flow at the same time
+    retry: {
+      maxAttempts: 3, // Including the first try
+      baseDelaySeconds: 30, // Doubled after every failed attempt
+      retryOn: ['timeout', 'network', 'download', 'generation'] // Error classes worth retrying
+    },
+    circuitBreaker: {
+      maxConsecutiveFailures: 5, // Trip after this many failures in a row
+      windowSize: 20, // Attempts considered for the failure rate
+      maxFailureRate: 60 // Trip above this percentage once the window is full
+    },
+    split: {
+      mode: 'lines', // lines, blocks, delimiter or numbered; see popup/parsers/split.js
+      delimiter: '---' // Separates prompts in delimiter mode
+    }
   },
-  pendingDownloads: new Map(),
-  processedPrompts: new Set()
+  activeTabId: null,
+  lastSubmitAt: 0,
+  throttle: null, // { code, level, until, successes } while Flow is limiting us
+  breaker: { consecutiveFailures: 0, recentOutcomes: [] }, // true = attempt succeeded
+  alert: null, // { message, at } when the circuit breaker paused the run
+  inFlight: {}, // promptId -> submit timestamp
+  pendingDownloads: {}, // promptId -> { total, completed, failed, startedAt }
+  downloadOwners: {}, // downloadId -> promptId
+  queuedEvents: [] // Toasts raised while no popup was connected
 };
 
-let workflowInterval = null;
-let activeTabId = null;
+// Worker-lifetime only; rebuilt from workflowState after a restart
+let schedulerTimer = null;
+let isSubmitting = false;
+let sendFailures = 0; // Sends in a row that never reached the Flow tab
+let engineAttached = false;
 
 // ============================================
 // INITIALIZATION
+// Runs on every worker start, not just browser start, so a worker that MV3
+// killed mid-run picks the workflow back up.
 // ============================================
+const stateReady = loadState();
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Google Flow Automation Pro installed');
-  loadState();
+  registerPageHook();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   console.log('Google Flow Automation Pro started');
-  loadState();
+  registerPageHook();
 });
 
 async function loadState() {
   try {
-    const result = await chrome.storage.local.get(['workflowState']);
+    const result = await chrome.storage.local.get(['workflowState', 'prompts', 'settings']);
     if (result.workflowState) {
-      workflowState = { ...workflowState, ...result.workflowState };
-      workflowState.isRunning = false; // Don't auto-resume
-      workflowState.isPaused = false;
+      workflowState = {
+        ...workflowState,
+        ...result.workflowState,
+        // Settings added in newer versions keep their defaults
+        settings: { ...workflowState.settings, ...result.workflowState.settings }
+      };
+    }
+    
+    // Older popups kept their own copy of the queue; fold it in once
+    if (result.prompts || result.settings) {
+      if (result.prompts && workflowState.prompts.length === 0) {
+        workflowState.prompts = result.prompts;
+      }
+      if (result.settings) {
+        workflowState.settings = { ...workflowState.settings, ...result.settings };
+      }
+      await chrome.storage.local.remove(['prompts', 'settings', 'workflow']);
+      await saveState();
     }
   } catch (error) {
     console.error('Failed to load state:', error);
   }
+  
+  if (workflowState.isRunning && !workflowState.isPaused) {
+    console.log('Resuming workflow after worker restart');
+    try {
+      await resumeEngine();
+    } catch (error) {
+      console.error('Failed to resume workflow:', error);
+      startWorkflowAlarm();
+    }
+  }
 }
 
 async function saveState() {
@@ -55,6 +133,8 @@ async function saveState() {
   } catch (error) {
     console.error('Failed to save state:', error);
   }
+  
+  publishChanges();
 }
 
 // ============================================
@@ -66,17 +146,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 async function handleMessage(message, sender, sendResponse) {
-  console.log('Background received:', message.type);
+  await stateReady;
   
   switch (message.type) {
     case 'START_WORKFLOW':
-      await startWorkflow(message.prompts, message.settings, message.startIndex || 0);
-      sendResponse({ success: true });
+      sendResponse({ success: await startWorkflow() });
       break;
       
     case 'RESUME_WORKFLOW':
-      await resumeWorkflow(message.currentIndex);
-      sendResponse({ success: true });
+      sendResponse({ success: await resumeWorkflow() });
       break;
       
     case 'PAUSE_WORKFLOW':
@@ -94,25 +172,64 @@ async function handleMessage(message, sender, sendResponse) {
       sendResponse({ success: true });
       break;
       
-    case 'UPDATE_SETTINGS':
-      workflowState.settings = { ...workflowState.settings, ...message.settings };
+    case 'RESET_WORKFLOW':
+      resetWorkflow();
+      sendResponse({ success: true });
+      break;
+      
+    case 'DISMISS_ALERT':
+      resetCircuitBreaker();
       saveState();
       sendResponse({ success: true });
       break;
       
-    case 'UPDATE_PROMPTS':
-      workflowState.prompts = message.prompts;
+    case 'UPDATE_SETTINGS':
+      workflowState.settings = { ...workflowState.settings, ...message.settings };
       saveState();
+      scheduleNextPrompt(); // A higher in-flight limit may free a slot
       sendResponse({ success: true });
       break;
       
+    case 'ADD_PROMPTS': {
+      const added = await addPrompts(message.texts || []);
+      sendResponse({ success: true, added: added.length });
+      break;
+    }
+      
+    case 'SET_REFERENCES': {
+      const updated = await setReferences(message.assignments || []);
+      sendResponse({ success: true, updated: updated });
+      break;
+    }
+      
+    case 'SET_OVERRIDES':
+      sendResponse({ success: true, updated: setOverrides(message.promptIds || [], message.overrides) });
+      break;
+      
+    case 'SET_FRAMES':
+      sendResponse({ success: await setFrames(message.promptId, message.frames) });
+      break;
+      
+    case 'RUN_DIAGNOSTICS':
+      sendResponse({ success: true, report: await runDiagnostics() });
+      break;
+      
+    case 'START_PICKER':
+      sendResponse({ success: await startPicker(message.keys) });
+      break;
+      
     case 'CREATE_NEW_PROJECT':
       await createNewProject();
       sendResponse({ success: true });
       break;
       
     case 'IMAGE_GENERATED':
-      await handleImageGenerated(message.promptId, message.imageUrls);
+      await handleImageGenerated(message.promptId, message.imageUrls, message.mediaIds, message.mediaType);
+      sendResponse({ success: true });
+      break;
+      
+    case 'DOWNLOAD_DATA_URL':
+      await downloadDataUrl(message.dataUrl, message.filename, message.promptId);
       sendResponse({ success: true });
       break;
       
@@ -122,7 +239,7 @@ async function handleMessage(message, sender, sendResponse) {
       break;
       
     case 'GENERATION_FAILED':
-      handleGenerationFailed(message.promptId, message.error);
+      handleGenerationFailed(message.promptId, message.error, message.code);
       sendResponse({ success: true });
       break;
       
@@ -141,263 +258,801 @@ async function handleMessage(message, sender, sendResponse) {
 // ============================================
 // WORKFLOW CONTROL
 // ============================================
-async function startWorkflow(prompts, settings, startIndex = 0) {
-  workflowState.prompts = prompts;
-  workflowState.settings = settings;
-  workflowState.currentIndex = startIndex;
-  workflowState.isRunning = true;
-  workflowState.isPaused = false;
-  workflowState.processedPrompts = new Set();
-  
-  // Mark already processed prompts
-  prompts.forEach((p, i) => {
-    if (i < startIndex || p.status === 'completed' || p.status === 'failed') {
-      workflowState.processedPrompts.add(p.id);
-    }
-  });
+function setWorkflowStatus(status) {
+  const now = Date.now();
   
-  await saveState();
+  if (workflowState.runStartedAt !== null && status !== 'running') {
+    workflowState.elapsedMs += now - workflowState.runStartedAt;
+    workflowState.runStartedAt = null;
+  } else if (workflowState.runStartedAt === null && status === 'running') {
+    workflowState.runStartedAt = now;
+  }
   
+  workflowState.status = status;
+  workflowState.isRunning = status === 'running';
+  workflowState.isPaused = status === 'paused';
+}
+
+async function startWorkflow() {
   // Get active tab
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (tab && tab.url.includes('labs.google/fx/tools/flow')) {
-    activeTabId = tab.id;
-    
-    // Inject content script if needed
-    await ensureContentScriptInjected(tab.id);
-    
-    // Start the workflow loop
-    startWorkflowLoop();
-  } else {
+  if (!tab || !tab.url.includes('labs.google/fx/tools/flow')) {
     notifyError('Please navigate to Google Flow first');
+    return false;
   }
+  
+  workflowState.activeTabId = tab.id;
+  requeueOrphanedPrompts();
+  resetCircuitBreaker();
+  setWorkflowStatus('running');
+  await saveState();
+  
+  // Inject content script if needed
+  await ensureContentScriptInjected(tab.id);
+  
+  // Start the workflow loop
+  startWorkflowLoop();
+  return true;
 }
 
-async function resumeWorkflow(currentIndex) {
-  workflowState.currentIndex = currentIndex;
-  workflowState.isRunning = true;
-  workflowState.isPaused = false;
+async function resumeWorkflow() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url.includes('labs.google/fx/tools/flow')) {
+    notifyError('Please navigate to Google Flow first');
+    return false;
+  }
   
+  workflowState.activeTabId = tab.id;
+  resetCircuitBreaker();
+  setWorkflowStatus('running');
   await saveState();
   
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (tab && tab.url.includes('labs.google/fx/tools/flow')) {
-    activeTabId = tab.id;
-    await ensureContentScriptInjected(tab.id);
-    startWorkflowLoop();
+  await ensureContentScriptInjected(tab.id);
+  startWorkflowLoop();
+  return true;
+}
+
+async function resumeEngine() {
+  // The tab we were driving may be gone after a long sleep
+  const tabId = await findFlowTab();
+  if (!tabId) {
+    console.log('No Google Flow tab open, waiting for the next alarm');
+    startWorkflowAlarm();
+    return;
   }
+  
+  workflowState.activeTabId = tabId;
+  await ensureContentScriptInjected(tabId);
+  
+  expireStaleGenerations();
+  expireStaleDownloads();
+  startWorkflowLoop();
+}
+
+async function findFlowTab() {
+  if (workflowState.activeTabId !== null) {
+    try {
+      const tab = await chrome.tabs.get(workflowState.activeTabId);
+      if (tab.url && tab.url.includes('labs.google/fx/tools/flow')) {
+        return tab.id;
+      }
+    } catch (error) {
+      // Tab was closed
+    }
+  }
+  
+  const tabs = await chrome.tabs.query({ url: 'https://labs.google/fx/tools/flow*' });
+  return tabs.length > 0 ? tabs[0].id : null;
+}
+
+function expireStaleGenerations() {
+  // A reloaded page loses the content script's trackers, so nothing would
+  // ever report back for these prompts
+  const now = Date.now();
+  Object.entries(workflowState.inFlight).forEach(([promptId, submittedAt]) => {
+    const prompt = workflowState.prompts.find(p => p.id === Number(promptId));
+    if (now - submittedAt > getInFlightTimeout(prompt)) {
+      handleGenerationFailed(Number(promptId), 'Generation lost (no result reported)');
+    }
+  });
+}
+
+function expireStaleDownloads() {
+  // Downloads run after the slot is released, so nothing else limits how
+  // long they take; one that never settles would leave its prompt
+  // 'submitted' for good
+  const now = Date.now();
+  Object.entries(workflowState.pendingDownloads).forEach(([key, pending]) => {
+    if (now - pending.startedAt <= DOWNLOAD_TIMEOUT_MS) return;
+    
+    const promptId = Number(key);
+    delete workflowState.pendingDownloads[promptId];
+    Object.entries(workflowState.downloadOwners).forEach(([downloadId, owner]) => {
+      if (owner === promptId) delete workflowState.downloadOwners[downloadId];
+    });
+    
+    if (pending.completed > 0) {
+      handleDownloadComplete(promptId);
+    } else {
+      handleGenerationFailed(promptId, 'Image download timed out');
+    }
+  });
+}
+
+function requeueOrphanedPrompts() {
+  // A fresh start drops the watchdog entries, so prompts a stopped run left
+  // 'processing' or 'submitted' would never settle; send them again.
+  // Prompts whose downloads are still running keep their own timeout.
+  workflowState.prompts.forEach(prompt => {
+    const orphaned = prompt.status === 'processing' ||
+      (prompt.status === 'submitted' && !workflowState.pendingDownloads[prompt.id]);
+    if (!orphaned) return;
+    
+    prompt.status = 'pending';
+    delete prompt.retryAt;
+  });
+  workflowState.inFlight = {};
+}
+
+function getInFlightTimeout(prompt) {
+  const { mediaType, videoTimeoutMinutes } = workflowState.settings;
+  // Prompts with frames always make videos
+  const isVideo = mediaType === 'video' || Boolean(prompt && prompt.frames);
+  if (!isVideo) return IN_FLIGHT_TIMEOUT_MS;
+  return videoTimeoutMinutes * 60 * 1000 + VIDEO_IN_FLIGHT_GRACE_MS;
 }
 
 function pauseWorkflow() {
-  workflowState.isPaused = true;
-  workflowState.isRunning = false;
+  setWorkflowStatus('paused');
   
-  if (workflowInterval) {
-    clearInterval(workflowInterval);
-    workflowInterval = null;
-  }
+  clearScheduler();
   
   saveState();
 }
 
 function stopWorkflow() {
-  workflowState.isRunning = false;
-  workflowState.isPaused = false;
+  setWorkflowStatus('stopped');
   
-  if (workflowInterval) {
-    clearInterval(workflowInterval);
-    workflowInterval = null;
-  }
+  clearScheduler();
   
   saveState();
 }
 
 function clearAll() {
+  removeReferences(workflowState.prompts.flatMap(getAttachments));
   workflowState.prompts = [];
   workflowState.currentIndex = 0;
-  workflowState.isRunning = false;
-  workflowState.isPaused = false;
-  workflowState.processedPrompts.clear();
-  workflowState.pendingDownloads.clear();
+  setWorkflowStatus('idle');
+  workflowState.elapsedMs = 0;
+  workflowState.throttle = null;
+  resetCircuitBreaker();
+  workflowState.inFlight = {};
+  workflowState.pendingDownloads = {};
+  workflowState.downloadOwners = {};
+  
+  clearScheduler();
+  
+  saveState();
+}
+
+function resetWorkflow() {
+  workflowState.prompts.forEach(p => {
+    p.status = 'pending';
+    delete p.error;
+    delete p.errorCode;
+    delete p.retryAt;
+    delete p.attempts;
+  });
+  workflowState.currentIndex = 0;
+  setWorkflowStatus('idle');
+  workflowState.elapsedMs = 0;
+  workflowState.throttle = null;
+  resetCircuitBreaker();
+  workflowState.inFlight = {};
+  workflowState.pendingDownloads = {};
+  workflowState.downloadOwners = {};
   
-  if (workflowInterval) {
-    clearInterval(workflowInterval);
-    workflowInterval = null;
+  clearScheduler();
+  
+  saveState();
+}
+
+// ============================================
+// PROMPT QUEUE
+// ============================================
+/**
+ * Entries are prompt texts, or { text, frames, overrides, scene,
+ * referenceNames } objects where frames holds a start and optional end
+ * image ({ name, type, dataUrl }) for frames-to-video and overrides holds
+ * per-prompt settings. scene is the scene number from an imported sheet,
+ * used in download names instead of the prompt ID, and referenceNames
+ * lists the image files the sheet names for the prompt.
+ */
+async function addPrompts(entries) {
+  let nextId = workflowState.prompts.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+  
+  const promptObjects = [];
+  for (const entry of entries) {
+    const text = String(typeof entry === 'object' && entry ? entry.text : entry).trim();
+    if (text.length === 0) continue;
+    
+    const prompt = {
+      id: nextId++,
+      text: text,
+      status: 'pending', // pending, processing, submitted, completed, failed
+      createdAt: Date.now()
+    };
+    
+    const frames = entry && entry.frames && await storeFrames(entry.frames);
+    if (frames) prompt.frames = frames;
+    
+    const overrides = entry && normalizeOverrides(entry.overrides);
+    if (overrides) prompt.overrides = overrides;
+    
+    const scene = entry && normalizeScene(entry.scene);
+    if (scene) prompt.scene = scene;
+    
+    const referenceNames = entry && Array.isArray(entry.referenceNames)
+      ? entry.referenceNames.map(name => String(name).trim()).filter(Boolean)
+      : [];
+    if (referenceNames.length > 0) prompt.referenceNames = referenceNames;
+    
+    promptObjects.push(prompt);
   }
   
+  workflowState.prompts.push(...promptObjects);
   saveState();
+  
+  return promptObjects;
+}
+
+function normalizeScene(scene) {
+  if (scene === undefined || scene === null) return null;
+  
+  // "Scene 03" and "03" both name scene 3; the rest must be safe in a file name
+  const value = String(scene).trim()
+    .replace(/^(scene|shot)[\s_-]*/i, '')
+    .replace(/^0+(?=\d)/, '')
+    .replace(/[\\/:*?"<>|]/g, '-');
+  return value || null;
 }
 
 // ============================================
-// WORKFLOW LOOP
+// PER-PROMPT OVERRIDES
+// A prompt may replace a few of the global settings. They are merged over
+// the globals when the prompt is submitted and when its files are saved.
+// ============================================
+const OVERRIDE_KEYS = ['outputCount', 'aspectRatio', 'model', 'downloadFolder'];
+
+function getPromptSettings(prompt) {
+  return { ...workflowState.settings, ...(prompt.overrides || {}) };
+}
+
+function setOverrides(promptIds, overrides) {
+  let updated = 0;
+  
+  promptIds.forEach(promptId => {
+    const prompt = workflowState.prompts.find(p => p.id === promptId);
+    if (!prompt) return;
+    
+    // Empty values drop an override; null clears them all
+    const merged = overrides ? { ...(prompt.overrides || {}), ...overrides } : null;
+    const normalized = normalizeOverrides(merged);
+    if (normalized) {
+      prompt.overrides = normalized;
+    } else {
+      delete prompt.overrides;
+    }
+    updated++;
+  });
+  
+  saveState();
+  return updated;
+}
+
+function normalizeOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object') return null;
+  
+  const normalized = {};
+  OVERRIDE_KEYS.forEach(key => {
+    const value = overrides[key];
+    if (value === undefined || value === null || value === '') return;
+    
+    if (key === 'outputCount') {
+      const count = parseInt(value);
+      if (count >= 1 && count <= 4) normalized.outputCount = count;
+    } else if (key === 'downloadFolder') {
+      const folder = String(value).trim().replace(/^[\\/]+|[\\/]+$/g, '');
+      if (folder) normalized.downloadFolder = folder;
+    } else {
+      normalized[key] = String(value).trim();
+    }
+  });
+  
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// ============================================
+// REFERENCE IMAGES
+// Image data is kept under its own storage key per reference so the
+// frequent workflowState saves stay small. Prompts only carry
+// { id, name, type } entries pointing at those keys. Start and end frames
+// use the same store.
+// ============================================
+const REFERENCE_KEY_PREFIX = 'reference:';
+
+async function setReferences(assignments) {
+  let updated = 0;
+  
+  for (const { promptId, references } of assignments) {
+    const prompt = workflowState.prompts.find(p => p.id === promptId);
+    if (!prompt) continue;
+    
+    // Attaching replaces whatever the prompt had before
+    await removeReferences(prompt.references || []);
+    prompt.references = await storeReferences(references || []);
+    if (prompt.references.length === 0) delete prompt.references;
+    updated++;
+  }
+  
+  saveState();
+  return updated;
+}
+
+async function setFrames(promptId, frames) {
+  const prompt = workflowState.prompts.find(p => p.id === promptId);
+  if (!prompt) return false;
+  
+  await removeReferences(Object.values(prompt.frames || {}));
+  const stored = frames ? await storeFrames(frames) : null;
+  if (stored) {
+    prompt.frames = stored;
+  } else {
+    delete prompt.frames;
+  }
+  
+  saveState();
+  return true;
+}
+
+async function storeFrames(frames) {
+  // An end frame alone is not something Flow can animate
+  if (!frames.start) return null;
+  
+  const [start] = await storeReferences([frames.start]);
+  const [end] = frames.end ? await storeReferences([frames.end]) : [];
+  if (!start) return null;
+  
+  return end ? { start, end } : { start };
+}
+
+async function loadFrames(frames) {
+  if (!frames) return null;
+  
+  const [start] = await loadReferences([frames.start]);
+  const [end] = await loadReferences(frames.end ? [frames.end] : []);
+  if (!start) return null;
+  
+  return end ? { start, end } : { start };
+}
+
+function getAttachments(prompt) {
+  return [...(prompt.references || []), ...Object.values(prompt.frames || {})];
+}
+
+async function storeReferences(references) {
+  const entries = {};
+  const stored = references
+    .filter(ref => ref && typeof ref.dataUrl === 'string' && ref.dataUrl.startsWith('data:image'))
+    .map(ref => {
+      const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      entries[REFERENCE_KEY_PREFIX + id] = { name: ref.name, type: ref.type, dataUrl: ref.dataUrl };
+      return { id: id, name: ref.name, type: ref.type };
+    });
+  
+  if (stored.length > 0) {
+    await chrome.storage.local.set(entries);
+  }
+  return stored;
+}
+
+async function loadReferences(references) {
+  if (!references || references.length === 0) return [];
+  
+  const keys = references.map(ref => REFERENCE_KEY_PREFIX + ref.id);
+  const result = await chrome.storage.local.get(keys);
+  return keys.map(key => result[key]).filter(Boolean);
+}
+
+async function removeReferences(references) {
+  if (references.length === 0) return;
+  
+  try {
+    await chrome.storage.local.remove(references.map(ref => REFERENCE_KEY_PREFIX + ref.id));
+  } catch (error) {
+    console.error('Failed to remove reference images:', error);
+  }
+}
+
+// ============================================
+// WORKFLOW SCHEDULER
+// A prompt is only submitted when an in-flight slot is free and the
+// minimum gap since the previous submit has passed. Slots are released
+// by IMAGE_GENERATED and GENERATION_FAILED, which wake the scheduler.
 // ============================================
 function startWorkflowLoop() {
-  if (workflowInterval) {
-    clearInterval(workflowInterval);
+  clearScheduler();
+  sendFailures = 0;
+  engineAttached = true;
+  startWorkflowAlarm();
+  scheduleNextPrompt();
+}
+
+function clearScheduler() {
+  if (schedulerTimer) {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
   }
   
-  // Process immediately, then every 2 seconds
-  processNextPrompt();
+  if (!workflowState.isRunning) {
+    chrome.alarms.clear(WORKFLOW_ALARM);
+  }
+}
+
+function startWorkflowAlarm() {
+  // Short gaps use setTimeout; the alarm covers timers lost with the worker
+  chrome.alarms.create(WORKFLOW_ALARM, { periodInMinutes: WORKFLOW_ALARM_PERIOD_MINUTES });
+}
+
+async function scheduleNextPrompt() {
+  clearScheduler();
+  
+  if (!workflowState.isRunning || workflowState.isPaused || isSubmitting) {
+    return;
+  }
+  
+  // Flow asked us to back off; submit nothing until the cooldown ends
+  const throttle = workflowState.throttle;
+  if (throttle && throttle.until > Date.now()) {
+    schedulerTimer = setTimeout(scheduleNextPrompt, throttle.until - Date.now());
+    return;
+  }
   
-  workflowInterval = setInterval(() => {
-    if (workflowState.isRunning && !workflowState.isPaused) {
-      processNextPrompt();
+  const { maxInFlight, gapMs } = getEffectivePacing();
+  if (Object.keys(workflowState.inFlight).length >= maxInFlight) {
+    // Woken again when a generation finishes
+    return;
+  }
+  
+  const waitMs = workflowState.lastSubmitAt + gapMs - Date.now();
+  if (waitMs > 0) {
+    schedulerTimer = setTimeout(scheduleNextPrompt, waitMs);
+    return;
+  }
+  
+  isSubmitting = true;
+  let submitted = false;
+  try {
+    submitted = await processNextPrompt();
+  } finally {
+    isSubmitting = false;
+  }
+  
+  if (submitted === false) {
+    await handleSendFailure();
+    return;
+  }
+  
+  // Keep filling free slots
+  if (submitted) {
+    sendFailures = 0;
+    scheduleNextPrompt();
+    return;
+  }
+  
+  // Nothing submittable right now; wake up when the next retry is due
+  const nextRetryAt = Math.min(...workflowState.prompts
+    .filter(p => p.status === 'retrying')
+    .map(p => p.retryAt));
+  if (isFinite(nextRetryAt)) {
+    schedulerTimer = setTimeout(scheduleNextPrompt, Math.max(0, nextRetryAt - Date.now()));
+  }
+}
+
+/**
+ * A send never reached the tab, which was closed, reloaded or navigated
+ * away. Look the tab up again and re-inject before the next try, waiting
+ * longer each time; after a few misses in a row the run pauses.
+ */
+async function handleSendFailure() {
+  sendFailures++;
+  if (sendFailures >= MAX_SEND_FAILURES) {
+    sendFailures = 0;
+    tripCircuitBreaker(`Flow tab unreachable (${MAX_SEND_FAILURES} sends failed)`);
+    return;
+  }
+  
+  try {
+    const tabId = await findFlowTab();
+    if (tabId !== null) {
+      workflowState.activeTabId = tabId;
+      await ensureContentScriptInjected(tabId);
     }
-  }, workflowState.settings.intervalSeconds * 1000);
+  } catch (error) {
+    console.error('Failed to reconnect to the Flow tab:', error);
+  }
+  
+  if (!workflowState.isRunning || workflowState.isPaused) return;
+  clearScheduler();
+  schedulerTimer = setTimeout(scheduleNextPrompt, SEND_RETRY_BASE_MS * Math.pow(2, sendFailures - 1));
+}
+
+function releasePromptSlot(promptId) {
+  if (promptId in workflowState.inFlight) {
+    delete workflowState.inFlight[promptId];
+    scheduleNextPrompt();
+  }
 }
 
+/**
+ * Submit the next pending prompt, or a failed one whose retry is due.
+ * Resolves true when a prompt was sent, false when sending failed and
+ * null when nothing can be submitted right now.
+ */
 async function processNextPrompt() {
   if (!workflowState.isRunning || workflowState.isPaused) {
-    return;
+    return null;
   }
   
-  // Find next pending prompt
-  const pendingIndex = workflowState.prompts.findIndex((p, i) => 
-    i >= workflowState.currentIndex && 
-    p.status === 'pending' && 
-    !workflowState.processedPrompts.has(p.id)
+  // Retries that are due go first, then the queue in order
+  const now = Date.now();
+  let pendingIndex = workflowState.prompts.findIndex(p => 
+    p.status === 'retrying' && p.retryAt <= now
   );
+  if (pendingIndex === -1) {
+    pendingIndex = workflowState.prompts.findIndex(p => p.status === 'pending');
+  }
   
   if (pendingIndex === -1) {
-    // Check if all prompts are processed
-    const allDone = workflowState.prompts.every(p => 
-      p.status === 'completed' || p.status === 'failed'
-    );
-    
-    if (allDone) {
-      workflowCompleted();
-    }
-    return;
+    checkWorkflowCompleted();
+    return null;
   }
   
   const prompt = workflowState.prompts[pendingIndex];
+  const previousStatus = prompt.status;
+  const previousRetryAt = prompt.retryAt;
   workflowState.currentIndex = pendingIndex;
+  workflowState.lastSubmitAt = now;
+  
+  // Claim the slot before sending so a fast GENERATION_FAILED can release it.
+  // The prompt stays 'processing' until Flow is seen to accept it
+  workflowState.inFlight[prompt.id] = now;
+  prompt.status = 'processing';
+  delete prompt.retryAt;
+  const attempt = { startedAt: now };
+  prompt.attempts = [...(prompt.attempts || []), attempt];
+  await saveState();
   
   // Send prompt to content script
   try {
-    await chrome.tabs.sendMessage(activeTabId, {
+    const references = await loadReferences(prompt.references);
+    const frames = await loadFrames(prompt.frames);
+    const response = await chrome.tabs.sendMessage(workflowState.activeTabId, {
       type: 'SUBMIT_PROMPT',
       prompt: prompt,
+      references: references,
+      frames: frames,
       index: pendingIndex,
-      settings: workflowState.settings
-    });
-    
-    // Mark as processing
-    workflowState.processedPrompts.add(prompt.id);
-    
-    // Notify popup
-    notifyPopup({
-      type: 'PROMPT_SUBMITTED',
-      promptId: prompt.id,
-      currentIndex: pendingIndex + 1
+      settings: getPromptSettings(prompt)
     });
     
-    // Update prompt status
-    prompt.status = 'submitted';
+    // On a failed submit the content script reports its own GENERATION_FAILED.
+    // A result or failure may also have come in first; only a prompt still
+    // waiting for its acknowledgement moves on to 'submitted'
+    if (response && response.success && prompt.status === 'processing') {
+      prompt.status = 'submitted';
+      attempt.acknowledgedAt = Date.now();
+      attempt.acknowledgedBy = response.acknowledgement && response.acknowledgement.signal;
+    }
     saveState();
+    return true;
     
   } catch (error) {
+    // The tab never got the prompt, so this was not a real attempt
     console.error('Failed to send prompt:', error);
-    notifyError(`Failed to submit prompt ${pendingIndex + 1}`);
+    delete workflowState.inFlight[prompt.id];
+    prompt.status = previousStatus;
+    // A retrying prompt without its due time would never be picked again
+    if (previousRetryAt !== undefined) prompt.retryAt = previousRetryAt;
+    prompt.attempts.pop();
+    saveState();
+    return false;
   }
 }
 
-function workflowCompleted() {
-  workflowState.isRunning = false;
-  workflowState.isPaused = false;
+function checkWorkflowCompleted() {
+  if (!workflowState.isRunning) return;
+  
+  const allDone = workflowState.prompts.every(p => 
+    p.status === 'completed' || p.status === 'failed'
+  );
   
-  if (workflowInterval) {
-    clearInterval(workflowInterval);
-    workflowInterval = null;
+  if (allDone) {
+    workflowCompleted();
   }
+}
+
+function workflowCompleted() {
+  setWorkflowStatus('completed');
+  
+  clearScheduler();
   
-  notifyPopup({ type: 'WORKFLOW_COMPLETED' });
+  publishEvent('success', 'Workflow completed!');
   saveState();
 }
 
 // ============================================
 // IMAGE HANDLING
 // ============================================
-async function handleImageGenerated(promptId, imageUrls) {
+async function handleImageGenerated(promptId, imageUrls, mediaIds = [], mediaType = 'image') {
+  // An empty result is a failed attempt; it also releases the slot
   if (!imageUrls || imageUrls.length === 0) {
     handleGenerationFailed(promptId, 'No images generated');
     return;
   }
   
+  // Flow took the prompt, but the attempt's outcome for the circuit
+  // breaker waits for the downloads
+  recordThrottleSuccess();
+  releasePromptSlot(promptId);
+  
   const prompt = workflowState.prompts.find(p => p.id === promptId);
   if (!prompt) return;
   
-  const sceneNumber = prompt.id;
-  const folderName = workflowState.settings.downloadFolder || 'FlowGenerations';
+  // Flow's own media IDs, when the page hook captured them
+  if (mediaIds.length > 0) {
+    prompt.mediaIds = mediaIds;
+  }
+  
+  const sceneNumber = prompt.scene || prompt.id;
+  const folderName = getPromptSettings(prompt).downloadFolder || 'FlowGenerations';
+  const [label, extension] = mediaType === 'video' ? ['Video', 'mp4'] : ['Image', 'png'];
   
-  workflowState.pendingDownloads.set(promptId, {
+  workflowState.pendingDownloads[promptId] = {
     total: imageUrls.length,
-    completed: 0
-  });
+    completed: 0,
+    failed: 0,
+    startedAt: Date.now()
+  };
+  saveState();
   
-  // Download each image
+  // Download each image or video
   for (let i = 0; i < imageUrls.length; i++) {
     const imageUrl = imageUrls[i];
-    const filename = `${folderName}/Scene ${sceneNumber} Image ${i + 1}.png`;
+    const filename = `${folderName}/Scene ${sceneNumber} ${label} ${i + 1}.${extension}`;
     
     try {
       await downloadImage(imageUrl, filename, promptId);
     } catch (error) {
-      console.error(`Failed to download image ${i + 1}:`, error);
+      console.error(`Failed to download ${label.toLowerCase()} ${i + 1}:`, error);
+      checkDownloadComplete(promptId, false);
     }
   }
 }
 
 async function downloadImage(url, filename, promptId) {
-  try {
-    // Handle different URL types
-    let downloadUrl = url;
+  // Blob URLs only resolve inside the page that created them, so the content
+  // script reads the blob and posts it back as a DOWNLOAD_DATA_URL message
+  if (url.startsWith('blob:')) {
+    const response = await chrome.tabs.sendMessage(workflowState.activeTabId, {
+      type: 'DOWNLOAD_BLOB',
+      blobUrl: url,
+      filename: filename,
+      promptId: promptId
+    });
     
-    // If it's a blob URL, fetch and convert
-    if (url.startsWith('blob:')) {
-      // Blob URLs need special handling through content script
-      await chrome.tabs.sendMessage(activeTabId, {
-        type: 'DOWNLOAD_BLOB',
-        blobUrl: url,
-        filename: filename,
-        promptId: promptId
-      });
-      return;
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not read blob from page');
     }
-    
-    // For regular URLs or data URLs
+    return;
+  }
+  
+  // For regular URLs or data URLs
+  const downloadFilename = url.startsWith('data:')
+    ? withExtensionForDataUrl(filename, url)
+    : filename;
+  
+  const downloadId = await chrome.downloads.download({
+    url: url,
+    filename: downloadFilename,
+    saveAs: false
+  });
+  
+  trackDownload(downloadId, promptId);
+}
+
+async function downloadDataUrl(dataUrl, filename, promptId) {
+  if (!dataUrl || !dataUrl.startsWith('data:')) {
+    console.error('Invalid data URL for', filename);
+    checkDownloadComplete(promptId, false);
+    return;
+  }
+  
+  try {
     const downloadId = await chrome.downloads.download({
-      url: downloadUrl,
-      filename: filename,
+      url: dataUrl,
+      filename: withExtensionForDataUrl(filename, dataUrl),
       saveAs: false
     });
     
-    // Track download completion
-    chrome.downloads.onChanged.addListener(function downloadListener(delta) {
-      if (delta.id === downloadId && delta.state) {
-        if (delta.state.current === 'complete') {
-          chrome.downloads.onChanged.removeListener(downloadListener);
-          checkDownloadComplete(promptId);
-        } else if (delta.state.current === 'interrupted') {
-          chrome.downloads.onChanged.removeListener(downloadListener);
-          console.error('Download interrupted');
-        }
-      }
-    });
-    
+    trackDownload(downloadId, promptId);
   } catch (error) {
-    console.error('Download error:', error);
+    console.error('Data URL download error:', error);
+    checkDownloadComplete(promptId, false);
   }
 }
 
-function checkDownloadComplete(promptId) {
-  const pending = workflowState.pendingDownloads.get(promptId);
+function trackDownload(downloadId, promptId) {
+  // Ownership is persisted so a restarted worker can still settle the prompt
+  workflowState.downloadOwners[downloadId] = promptId;
+  saveState();
+}
+
+// Registered at the top level so download events wake a stopped worker
+chrome.downloads.onChanged.addListener(async (delta) => {
+  if (!delta.state) return;
+  await stateReady;
+  
+  const promptId = workflowState.downloadOwners[delta.id];
+  if (promptId === undefined) return;
+  
+  if (delta.state.current === 'complete') {
+    delete workflowState.downloadOwners[delta.id];
+    checkDownloadComplete(promptId, true);
+  } else if (delta.state.current === 'interrupted') {
+    delete workflowState.downloadOwners[delta.id];
+    console.error('Download interrupted');
+    checkDownloadComplete(promptId, false);
+  }
+});
+
+function withExtensionForDataUrl(filename, dataUrl) {
+  // Flow serves blobs as png, jpeg, webp or mp4; keep the saved extension honest
+  const mimeMatch = dataUrl.match(/^data:([^;,]+)/);
+  const extensions = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm'
+  };
+  const extension = mimeMatch && extensions[mimeMatch[1]];
+  if (!extension) return filename;
+  
+  return filename.replace(/\.[a-z0-9]+$/i, `.${extension}`);
+}
+
+function checkDownloadComplete(promptId, succeeded = true) {
+  const pending = workflowState.pendingDownloads[promptId];
   if (!pending) return;
   
-  pending.completed++;
+  if (succeeded) {
+    pending.completed++;
+  } else {
+    pending.failed++;
+  }
+  
+  if (pending.completed + pending.failed < pending.total) {
+    saveState();
+    return;
+  }
+  
+  delete workflowState.pendingDownloads[promptId];
   
-  if (pending.completed >= pending.total) {
-    workflowState.pendingDownloads.delete(promptId);
+  if (pending.completed === 0) {
+    handleGenerationFailed(promptId, 'Image download failed');
+  } else {
     handleDownloadComplete(promptId);
   }
 }
@@ -406,30 +1061,249 @@ function handleDownloadComplete(promptId) {
   const prompt = workflowState.prompts.find(p => p.id === promptId);
   if (prompt) {
     prompt.status = 'completed';
+    prompt.finishedAt = Date.now();
+    delete prompt.error;
+    delete prompt.errorCode;
+    finishAttempt(prompt, { outcome: 'completed' });
     saveState();
     
-    notifyPopup({
-      type: 'PROMPT_COMPLETED',
-      promptId: promptId
-    });
+    recordAttemptOutcome(true);
   }
+  
+  checkWorkflowCompleted();
 }
 
-function handleGenerationFailed(promptId, error) {
+function handleGenerationFailed(promptId, error, code) {
   const prompt = workflowState.prompts.find(p => p.id === promptId);
+  
+  if (prompt && isThrottleCode(code)) {
+    // Not the prompt's fault: requeue it for the end of the cooldown
+    const throttle = applyThrottle(code);
+    finishAttempt(prompt, { outcome: 'throttled', error: error, errorCode: code, errorClass: classifyError(error, code) });
+    prompt.error = error;
+    prompt.errorCode = code;
+    prompt.status = 'retrying';
+    prompt.retryAt = throttle.until;
+    saveState();
+    
+    releasePromptSlot(promptId);
+    return;
+  }
+  
   if (prompt) {
-    prompt.status = 'failed';
+    const errorClass = classifyError(error, code);
+    finishAttempt(prompt, { outcome: 'failed', error: error, errorCode: code, errorClass: errorClass });
     prompt.error = error;
+    prompt.errorCode = code;
+    
+    const retryAt = getRetryTime(prompt, errorClass);
+    if (retryAt) {
+      prompt.status = 'retrying';
+      prompt.retryAt = retryAt;
+    } else {
+      prompt.status = 'failed';
+      prompt.finishedAt = Date.now();
+    }
     saveState();
     
-    notifyPopup({
-      type: 'PROMPT_FAILED',
-      promptId: promptId,
-      error: error
-    });
+    recordAttemptOutcome(false);
+  }
+  
+  releasePromptSlot(promptId);
+  checkWorkflowCompleted();
+}
+
+// ============================================
+// RETRY POLICY
+// Failed attempts are recorded on the prompt. Error classes listed in
+// settings.retry.retryOn are retried with exponential backoff until
+// maxAttempts is reached; everything else fails at once.
+// ============================================
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+
+// Error codes the content script reads off the Flow page
+const ERROR_CODE_CLASSES = {
+  POLICY_BLOCKED: 'policy',
+  QUOTA_EXHAUSTED: 'quota',
+  RATE_LIMITED: 'rate_limit',
+  GENERATION_ERROR: 'generation',
+  TIMEOUT: 'timeout',
+  INPUT_NOT_FOUND: 'ui',
+  MODE_NOT_FOUND: 'ui',
+  SETTINGS_NOT_APPLIED: 'ui',
+  REFERENCE_UPLOAD_FAILED: 'ui',
+  FRAME_UPLOAD_FAILED: 'ui',
+  SUBMIT_NOT_CONFIRMED: 'ui',
+  SUBMIT_ERROR: 'ui'
+};
+
+function classifyError(error, code) {
+  if (code && ERROR_CODE_CLASSES[code]) {
+    return ERROR_CODE_CLASSES[code];
+  }
+  
+  const text = String(error || '').toLowerCase();
+  
+  if (text.includes('timeout')) return 'timeout';
+  if (text.includes('download')) return 'download';
+  if (text.includes('lost') || text.includes('network')) return 'network';
+  if (text.includes('could not find')) return 'ui';
+  if (text.includes('no images')) return 'empty';
+  return 'unknown';
+}
+
+function finishAttempt(prompt, result) {
+  const attempt = prompt.attempts && prompt.attempts[prompt.attempts.length - 1];
+  if (!attempt || attempt.endedAt) return;
+  
+  Object.assign(attempt, result, { endedAt: Date.now() });
+}
+
+function getRetryTime(prompt, errorClass) {
+  const policy = workflowState.settings.retry;
+  if (!policy || !policy.retryOn.includes(errorClass)) return null;
+  
+  // Throttled attempts were Flow's limits, not the prompt's failures
+  const attempts = (prompt.attempts || []).filter(a => a.outcome !== 'throttled').length;
+  if (attempts >= policy.maxAttempts) return null;
+  
+  const delayMs = Math.min(
+    policy.baseDelaySeconds * 1000 * Math.pow(2, attempts - 1),
+    MAX_RETRY_DELAY_MS
+  );
+  // A little jitter keeps retries from landing on Flow in lockstep
+  return Date.now() + Math.round(delayMs * (0.9 + Math.random() * 0.2));
+}
+
+// ============================================
+// CIRCUIT BREAKER
+// When the Flow UI changes under us every prompt fails the same way.
+// Too many failures in a row, or too high a failure rate over the last
+// attempts, pauses the run and raises an alert instead of burning the
+// rest of the queue. Throttled attempts are left to the throttle control.
+// ============================================
+function recordAttemptOutcome(succeeded) {
+  const policy = workflowState.settings.circuitBreaker;
+  const breaker = workflowState.breaker;
+  if (!policy) return;
+  
+  breaker.consecutiveFailures = succeeded ? 0 : breaker.consecutiveFailures + 1;
+  breaker.recentOutcomes = [...breaker.recentOutcomes, succeeded].slice(-policy.windowSize);
+  
+  if (!workflowState.isRunning) return;
+  
+  const failures = breaker.recentOutcomes.filter(outcome => !outcome).length;
+  const failureRate = Math.round(failures / breaker.recentOutcomes.length * 100);
+  
+  if (breaker.consecutiveFailures >= policy.maxConsecutiveFailures) {
+    tripCircuitBreaker(`${breaker.consecutiveFailures} prompts failed in a row`);
+  } else if (breaker.recentOutcomes.length >= policy.windowSize && failureRate > policy.maxFailureRate) {
+    tripCircuitBreaker(`${failureRate}% of the last ${policy.windowSize} attempts failed`);
   }
 }
 
+function tripCircuitBreaker(reason) {
+  const message = `Run paused: ${reason}. Check that Flow still works in the tab, then resume.`;
+  console.error('Circuit breaker tripped:', reason);
+  
+  workflowState.alert = { message: message, at: Date.now() };
+  pauseWorkflow();
+  publishEvent('error', message);
+  
+  chrome.action.setBadgeBackgroundColor({ color: '#ef4444' });
+  chrome.action.setBadgeText({ text: '!' });
+}
+
+function resetCircuitBreaker() {
+  workflowState.breaker = { consecutiveFailures: 0, recentOutcomes: [] };
+  
+  if (workflowState.alert) {
+    workflowState.alert = null;
+    chrome.action.setBadgeText({ text: '' });
+  }
+}
+
+// ============================================
+// THROTTLE CONTROL
+// Rate-limit and credit notices stop all submits for a cooldown that
+// doubles with every repeat. After the cooldown the scheduler runs at a
+// reduced pace, stepping back up one level per few successful prompts.
+// ============================================
+const THROTTLE_POLICIES = {
+  RATE_LIMITED: {
+    label: 'Flow is rate limiting requests',
+    cooldownMs: 2 * 60 * 1000,
+    maxCooldownMs: 30 * 60 * 1000
+  },
+  QUOTA_EXHAUSTED: {
+    label: 'Flow reports no credits left',
+    cooldownMs: 30 * 60 * 1000,
+    maxCooldownMs: 4 * 60 * 60 * 1000
+  }
+};
+const THROTTLE_RECOVERY_SUCCESSES = 5;
+const THROTTLED_MIN_GAP_SECONDS = 5;
+
+function isThrottleCode(code) {
+  return Boolean(code && THROTTLE_POLICIES[code]);
+}
+
+function applyThrottle(code) {
+  const now = Date.now();
+  const current = workflowState.throttle;
+  
+  // Every in-flight prompt tends to hit the same notice; count it once
+  if (current && current.until > now) {
+    return current;
+  }
+  
+  const policy = THROTTLE_POLICIES[code];
+  const level = current ? current.level + 1 : 1;
+  const cooldownMs = Math.min(policy.cooldownMs * Math.pow(2, level - 1), policy.maxCooldownMs);
+  
+  workflowState.throttle = {
+    code: code,
+    level: level,
+    until: now + cooldownMs,
+    successes: 0
+  };
+  
+  publishEvent('warning', `${policy.label}. Retrying at ${new Date(now + cooldownMs).toLocaleTimeString()}`);
+  console.log(`Throttle level ${level} (${code}) for ${Math.round(cooldownMs / 1000)}s`);
+  
+  return workflowState.throttle;
+}
+
+function recordThrottleSuccess() {
+  const throttle = workflowState.throttle;
+  if (!throttle || throttle.until > Date.now()) return;
+  
+  throttle.successes++;
+  if (throttle.successes < THROTTLE_RECOVERY_SUCCESSES) return;
+  
+  throttle.level--;
+  throttle.successes = 0;
+  if (throttle.level <= 0) {
+    workflowState.throttle = null;
+  }
+}
+
+function getEffectivePacing() {
+  const settings = workflowState.settings;
+  const level = workflowState.throttle ? workflowState.throttle.level : 0;
+  const maxInFlight = Math.max(1, settings.maxInFlight || 1);
+  const gapSeconds = settings.intervalSeconds || 0;
+  
+  if (level === 0) {
+    return { maxInFlight: maxInFlight, gapMs: gapSeconds * 1000 };
+  }
+  
+  return {
+    maxInFlight: Math.max(1, Math.floor(maxInFlight / Math.pow(2, level))),
+    gapMs: Math.max(gapSeconds, THROTTLED_MIN_GAP_SECONDS) * 1000 * Math.pow(2, level)
+  };
+}
+
 // ============================================
 // PROJECT MANAGEMENT
 // ============================================
@@ -441,7 +1315,8 @@ async function createNewProject() {
       await chrome.tabs.update(tab.id, {
         url: 'https://labs.google/fx/tools/flow'
       });
-      activeTabId = tab.id;
+      workflowState.activeTabId = tab.id;
+      saveState();
       
       // Wait for page load and inject content script
       chrome.tabs.onUpdated.addListener(function listener(tabId, info) {
@@ -459,6 +1334,58 @@ async function createNewProject() {
   }
 }
 
+// ============================================
+// DIAGNOSTICS
+// ============================================
+async function runDiagnostics() {
+  // Checked against the tab a run would start on
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const failed = (detail) => ({
+    ok: false,
+    checks: [{ id: 'tab', label: 'Google Flow tab', ok: false, detail: detail }]
+  });
+  
+  if (!tab || !tab.url || !tab.url.includes('labs.google/fx/tools/flow')) {
+    return failed('Open Google Flow in the current tab');
+  }
+  
+  if (!await ensureContentScriptInjected(tab.id)) {
+    return failed('Could not reach the page; reload the Flow tab');
+  }
+  
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'RUN_DIAGNOSTICS' });
+    return response.report;
+  } catch (error) {
+    console.error('Diagnostics failed:', error);
+    return failed('The page did not answer; reload the Flow tab');
+  }
+}
+
+// ============================================
+// ELEMENT PICKER
+// ============================================
+async function startPicker(keys) {
+  // Prefer the tab the user is looking at; the options page is a tab of
+  // its own, so fall back to any open Flow tab
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const tabId = tab && tab.url && tab.url.includes('labs.google/fx/tools/flow')
+    ? tab.id
+    : await findFlowTab();
+  
+  if (!tabId) {
+    notifyError('Please navigate to Google Flow first');
+    return false;
+  }
+  
+  if (!await ensureContentScriptInjected(tabId)) return false;
+  
+  const flowTab = await chrome.tabs.update(tabId, { active: true });
+  await chrome.windows.update(flowTab.windowId, { focused: true });
+  await chrome.tabs.sendMessage(tabId, { type: 'START_PICKER', keys: keys });
+  return true;
+}
+
 // ============================================
 // CONTENT SCRIPT INJECTION
 // ============================================
@@ -474,9 +1401,10 @@ async function ensureContentScriptInjected(tabId) {
     // Content script not loaded, inject it
     console.log('Injecting content script...');
     try {
+      await injectPageHook(tabId);
       await chrome.scripting.executeScript({
         target: { tabId: tabId },
-        files: ['content/content.js']
+        files: ['content/selector-defaults.js', 'content/locale-labels.js', 'content/content.js']
       });
       
       await chrome.scripting.insertCSS({
@@ -494,19 +1422,191 @@ async function ensureContentScriptInjected(tabId) {
 }
 
 // ============================================
-// NOTIFICATIONS
+// PAGE HOOK
+// content/flow-hook.js wraps fetch/XHR in the page's main world to read
+// the media Flow returns. It is registered to run at document_start so it
+// sees Flow's first requests, and injected directly into Flow tabs that
+// were already open when the extension loaded.
 // ============================================
-async function notifyPopup(message) {
+const PAGE_HOOK_ID = 'gfa-flow-hook';
+const PAGE_HOOK_FILE = 'content/flow-hook.js';
+
+async function registerPageHook() {
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PAGE_HOOK_ID] });
+    if (registered.length > 0) return;
+    
+    await chrome.scripting.registerContentScripts([{
+      id: PAGE_HOOK_ID,
+      matches: ['https://labs.google/fx/tools/flow/*'],
+      js: [PAGE_HOOK_FILE],
+      runAt: 'document_start',
+      world: 'MAIN',
+      persistAcrossSessions: true
+    }]);
+    console.log('Page hook registered');
+  } catch (error) {
+    console.error('Failed to register page hook:', error);
+  }
+}
+
+async function injectPageHook(tabId) {
   try {
-    await chrome.runtime.sendMessage(message);
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: [PAGE_HOOK_FILE],
+      world: 'MAIN',
+      injectImmediately: true
+    });
   } catch (error) {
-    // Popup might be closed, that's OK
-    console.log('Popup not available');
+    // Without the hook the content script falls back to DOM detection
+    console.error('Failed to inject page hook:', error);
   }
 }
 
+// ============================================
+// POPUP STREAMING
+// Each open popup holds a 'popup' port. It gets a SNAPSHOT on connect and
+// after that only diffs: PROMPTS_UPDATED, PROMPTS_REPLACED,
+// WORKFLOW_UPDATED, SETTINGS_UPDATED, THROUGHPUT and EVENT. Events raised
+// while no popup is open are queued and replayed with the next snapshot.
+// ============================================
+const POPUP_PORT_NAME = 'popup';
+const MAX_QUEUED_EVENTS = 20;
+const THROUGHPUT_WINDOW_MS = 10 * 60 * 1000;
+
+const popupPorts = new Set();
+let publishedState = null; // What connected popups have been told so far
+
+chrome.runtime.onConnect.addListener(async (port) => {
+  if (port.name !== POPUP_PORT_NAME) return;
+  
+  popupPorts.add(port);
+  port.onDisconnect.addListener(() => popupPorts.delete(port));
+  
+  await stateReady;
+  
+  // Bring the other popups up to date so the snapshot is the new baseline
+  publishChanges();
+  
+  port.postMessage({
+    type: 'SNAPSHOT',
+    state: {
+      prompts: workflowState.prompts,
+      settings: workflowState.settings,
+      workflow: getWorkflowSummary(),
+      throughput: getThroughput()
+    },
+    events: workflowState.queuedEvents
+  });
+  
+  if (workflowState.queuedEvents.length > 0) {
+    workflowState.queuedEvents = [];
+    saveState();
+  }
+});
+
+function getWorkflowSummary() {
+  return {
+    status: workflowState.status,
+    currentIndex: workflowState.currentIndex,
+    elapsedMs: workflowState.elapsedMs,
+    runStartedAt: workflowState.runStartedAt,
+    throttle: workflowState.throttle,
+    alert: workflowState.alert
+  };
+}
+
+function getThroughput() {
+  const now = Date.now();
+  const finished = workflowState.prompts.filter(p => 
+    p.finishedAt && now - p.finishedAt <= THROUGHPUT_WINDOW_MS
+  ).length;
+  const remaining = workflowState.prompts.filter(p => 
+    p.status !== 'completed' && p.status !== 'failed'
+  ).length;
+  
+  const windowMs = Math.min(THROUGHPUT_WINDOW_MS, 
+    workflowState.elapsedMs + (workflowState.runStartedAt ? now - workflowState.runStartedAt : 0));
+  const perHour = finished > 0 && windowMs > 0
+    ? Math.round(finished / windowMs * 3600000)
+    : 0;
+  
+  return {
+    perHour: perHour,
+    etaSeconds: perHour > 0 ? Math.round(remaining / perHour * 3600) : null
+  };
+}
+
+function captureState() {
+  return {
+    order: workflowState.prompts.map(p => p.id).join(','),
+    prompts: new Map(workflowState.prompts.map(p => [p.id, JSON.stringify(p)])),
+    workflow: JSON.stringify(getWorkflowSummary()),
+    settings: JSON.stringify(workflowState.settings),
+    throughput: JSON.stringify(getThroughput())
+  };
+}
+
+function publishChanges() {
+  const current = captureState();
+  const previous = publishedState;
+  publishedState = current;
+  
+  if (!previous || popupPorts.size === 0) return;
+  
+  if (current.order !== previous.order) {
+    notifyPopup({ type: 'PROMPTS_REPLACED', prompts: workflowState.prompts });
+  } else {
+    const changed = workflowState.prompts.filter(p => 
+      current.prompts.get(p.id) !== previous.prompts.get(p.id)
+    );
+    if (changed.length > 0) {
+      notifyPopup({ type: 'PROMPTS_UPDATED', prompts: changed });
+    }
+  }
+  
+  if (current.workflow !== previous.workflow) {
+    notifyPopup({ type: 'WORKFLOW_UPDATED', workflow: getWorkflowSummary() });
+  }
+  
+  if (current.settings !== previous.settings) {
+    notifyPopup({ type: 'SETTINGS_UPDATED', settings: workflowState.settings });
+  }
+  
+  if (current.throughput !== previous.throughput) {
+    notifyPopup({ type: 'THROUGHPUT', throughput: getThroughput() });
+  }
+}
+
+function notifyPopup(message) {
+  popupPorts.forEach(port => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // Port closed between disconnect and cleanup
+      popupPorts.delete(port);
+    }
+  });
+}
+
+/**
+ * Raise a toast in the popup, or queue it for the next popup to open.
+ */
+function publishEvent(level, message) {
+  const event = { level: level, message: message, at: Date.now() };
+  
+  if (popupPorts.size > 0) {
+    notifyPopup({ type: 'EVENT', event: event });
+    return;
+  }
+  
+  workflowState.queuedEvents = [...workflowState.queuedEvents, event].slice(-MAX_QUEUED_EVENTS);
+  saveState();
+}
+
 function notifyError(error) {
-  notifyPopup({ type: 'ERROR', error: error });
+  publishEvent('error', error);
 }
 
 // ============================================
@@ -514,9 +1614,11 @@ function notifyError(error) {
 // ============================================
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   const tab = await chrome.tabs.get(activeInfo.tabId);
+  await stateReady;
   
   if (tab.url && tab.url.includes('labs.google/fx/tools/flow')) {
-    activeTabId = activeInfo.tabId;
+    workflowState.activeTabId = activeInfo.tabId;
+    saveState();
     
     // Check for project ID
     const projectMatch = tab.url.match(/project\/([a-f0-9-]+)/);
@@ -528,24 +1630,34 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   }
 });
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url && tab.url.includes('labs.google/fx/tools/flow')) {
-    activeTabId = tabId;
+    await stateReady;
+    workflowState.activeTabId = tabId;
+    saveState();
     ensureContentScriptInjected(tabId);
   }
 });
 
 // ============================================
-// ALARM FOR PERSISTENCE
+// WORKFLOW ALARM
 // ============================================
-chrome.alarms.create('keepAlive', { periodInMinutes: 0.5 });
-
-chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'keepAlive') {
-    // Keep service worker alive during workflow
-    if (workflowState.isRunning) {
-      console.log('Workflow keepalive check');
-    }
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== WORKFLOW_ALARM) return;
+  await stateReady;
+  
+  if (!workflowState.isRunning || workflowState.isPaused) {
+    chrome.alarms.clear(WORKFLOW_ALARM);
+    return;
+  }
+  
+  // Either the worker was restarted and lost its timers, or it is alive
+  // and only needs its watchdog pass
+  if (!engineAttached) {
+    await resumeEngine();
+  } else {
+    expireStaleGenerations();
+    expireStaleDownloads();
+    scheduleNextPrompt();
   }
 });
-
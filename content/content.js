@@ -1,7 +1,13 @@
 /**
  * Google Flow Automation Pro - Content Script
- * Handles DOM interaction, prompt submission, and image detection
- * UPDATED: Fixed generate button detection and clicking
+ * Handles DOM interaction, prompt submission, and image/video detection.
+ *
+ * Each submitted prompt gets a generation record (state.generations) that
+ * owns whatever results, errors and progress the page shows for it. The
+ * prompt only counts as submitted when Flow acknowledges it: the prompt box
+ * clears, a card with the prompt appears or a spinner starts. Send is
+ * pressed again only if Flow ignored it outright. Results come from the page hook's GENERATION_RESULT
+ * messages, with DOM detection as the fallback.
  */
 
 (function() {
@@ -9,85 +15,122 @@
   
   // ============================================
   // CONFIGURATION - SELECTORS
-  // Updated based on actual Google Flow interface
-  // ============================================
-  const SELECTORS = {
-    // Input field selectors - the textarea at the bottom of the page
-    promptInput: [
-      // Google Flow specific selectors
-      'textarea[class*="prompt"]',
-      'textarea[class*="input"]',
-      'div[contenteditable="true"][class*="prompt"]',
-      'div[contenteditable="true"][class*="input"]',
-      '[role="textbox"]',
-      // Generic fallbacks
-      'textarea',
-      'div[contenteditable="true"]',
-      'input[type="text"]'
-    ],
-    
-    // Generate/Send button selectors - the arrow button (→) on the right
-    generateButton: [
-      // Arrow/Send button specific selectors
-      'button[aria-label*="Send"]',
-      'button[aria-label*="send"]',
-      'button[aria-label*="Submit"]',
-      'button[aria-label*="submit"]',
-      'button[aria-label*="Generate"]',
-      'button[aria-label*="generate"]',
-      'button[aria-label*="Create"]',
-      'button[aria-label*="create"]',
-      // Material icon buttons
-      'button[class*="send"]',
-      'button[class*="submit"]',
-      'button[class*="arrow"]',
-      // Button with arrow icon (SVG or material icon)
-      'button svg[class*="arrow"]',
-      'button mat-icon',
-      'button .material-icons',
-      // Generic submit buttons near input
-      'form button[type="submit"]',
-      'button[type="submit"]',
-      // Last resort - look for buttons with arrow symbols
-      'button'
-    ],
-    
-    // Image output container selectors
-    imageContainer: [
-      '[class*="generated"]',
-      '[class*="output"]',
-      '[class*="result"]',
-      '[class*="image-grid"]',
-      '[class*="gallery"]',
-      '[class*="preview"]',
-      'main [class*="image"]'
-    ],
-    
-    // Individual image selectors
-    generatedImage: [
-      'img[src^="blob:"]',
-      'img[src^="data:"]',
-      'img[src*="googleusercontent"]',
-      'img[src*="generated"]',
-      'img[class*="generated"]',
-      'img[class*="output"]',
-      'img[class*="result"]',
-      '[class*="image-container"] img',
-      '[class*="output"] img',
-      '[class*="result"] img'
-    ]
+  // Defaults live in selector-defaults.js. The active profile from the
+  // options page is merged over them and reloaded when it changes.
+  // ============================================
+  let SELECTORS = { ...globalThis.GFA_DEFAULT_SELECTORS };
+  let PICKED = {}; // key -> selector chosen with the element picker
+  
+  const FRAME_SLOTS = {
+    start: /first frame|start(ing)? frame/i,
+    end: /last frame|end(ing)? frame/i
+  };
+  const FRAME_CONFIRM_TEXT = /crop and save|^save$|^done$|^use$|^confirm$|^insert$/i;
+  
+  // ============================================
+  // BUTTON DETECTION
+  // Icon ligatures read the same in every UI language, so they are
+  // checked before any label. Labels come from locale-labels.js; the words
+  // of all locales are matched at once.
+  // ============================================
+  const ICON_SELECTOR = '.material-icons, .material-icons-outlined, .material-symbols-outlined, .material-symbols-rounded, .google-symbols, mat-icon, i, [data-icon]';
+  const SEND_ICONS = ['send', 'arrow_forward', 'arrow_upward', 'arrow_right_alt', 'north', 'east', 'keyboard_return'];
+  const DISMISS_ICONS = ['close', 'cancel', 'clear', 'delete', 'remove', 'stop', 'undo'];
+  
+  const LOCALE_LABELS = Object.fromEntries(
+    Object.entries(globalThis.GFA_LOCALE_LABELS).map(([key, locales]) => [key, Object.values(locales).flat()])
+  );
+  
+  // ============================================
+  // GENERATION SETTINGS
+  // Label of each dropdown in Flow's settings panel, and how a wanted
+  // value reads in its options
+  // ============================================
+  const SETTING_FIELDS = {
+    outputCount: {
+      label: /outputs? per prompt|number of (outputs|results)|^outputs?$/i,
+      option: value => new RegExp(`(^|\\D)${value}(\\D|$)`)
+    },
+    aspectRatio: {
+      label: /aspect ratio/i,
+      option: value => ({
+        landscape: /landscape|16\s*:\s*9/i,
+        portrait: /portrait|9\s*:\s*16/i,
+        square: /square|1\s*:\s*1/i
+      })[value]
+    },
+    model: {
+      label: /model|quality/i,
+      option: value => new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+    }
+  };
+  
+  // ============================================
+  // GENERATION TYPES
+  // Labels Flow shows for each generation type in its mode dropdown
+  // ============================================
+  const FLOW_MODES = {
+    image: /create image|text to image|^images?$/i,
+    video: /text to video/i,
+    frames: /frames to video/i
+  };
+  
+  // ============================================
+  // ERROR CLASSIFICATION
+  // Checked in order; the first matching pattern decides the code sent
+  // with GENERATION_FAILED.
+  // ============================================
+  const ERROR_CODES = {
+    POLICY_BLOCKED: 'POLICY_BLOCKED',
+    QUOTA_EXHAUSTED: 'QUOTA_EXHAUSTED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    GENERATION_ERROR: 'GENERATION_ERROR',
+    TIMEOUT: 'TIMEOUT',
+    INPUT_NOT_FOUND: 'INPUT_NOT_FOUND',
+    MODE_NOT_FOUND: 'MODE_NOT_FOUND',
+    SETTINGS_NOT_APPLIED: 'SETTINGS_NOT_APPLIED',
+    REFERENCE_UPLOAD_FAILED: 'REFERENCE_UPLOAD_FAILED',
+    FRAME_UPLOAD_FAILED: 'FRAME_UPLOAD_FAILED',
+    SUBMIT_NOT_CONFIRMED: 'SUBMIT_NOT_CONFIRMED',
+    SUBMIT_ERROR: 'SUBMIT_ERROR'
   };
   
+  // Phrases Flow uses when a generation fails; page text that merely
+  // mentions policies, safety or errors must not fail a prompt
+  const ERROR_PATTERNS = [
+    {
+      code: ERROR_CODES.POLICY_BLOCKED,
+      pattern: /violat(es?|ed|ing|ions?)|against our (polic(y|ies)|guidelines)|(polic(y|ies)|guidelines?) (violation|block)|harmful content|sensitive content|(can'?t|couldn'?t|unable to) (generate|create) (this|that)/i
+    },
+    {
+      code: ERROR_CODES.QUOTA_EXHAUSTED,
+      pattern: /(not enough|out of|no more|insufficient|run out of|ran out of)\b.{0,20}(credits|generations)|quota|(daily|monthly|usage) limit|limit reached|upgrade your plan/i
+    },
+    {
+      code: ERROR_CODES.RATE_LIMITED,
+      pattern: /too many requests|rate limit|too (quickly|fast)|slow down|try again (later|in \d+)|wait a (moment|few|bit)/i
+    },
+    {
+      code: ERROR_CODES.GENERATION_ERROR,
+      pattern: /something went wrong|an error occurred|(failed|unable) to generate|generation failed|couldn'?t generate/i
+    }
+  ];
+  
   // ============================================
   // STATE
   // ============================================
   let state = {
     isActive: false,
-    currentPrompt: null,
     settings: {},
     observer: null,
-    lastImageCount: 0,
-    detectedImages: new Set(),
+    pollInterval: null,
+    generations: new Map(), // promptId -> in-flight generation record
+    detectedImages: new Set(), // every image src already seen or credited
+    reportedErrors: new WeakMap(), // error element -> text already handled
+    attachedPreviews: new Set(), // src of each preview chip this script attached
+    hookReady: false, // page hook has announced itself
+    networkCapture: false, // true once a hooked response credits a generation; DOM scraping becomes a fallback
+    currentMode: null, // generation type last selected in Flow
     submissionCount: 0
   };
   
@@ -95,10 +138,12 @@
   // INITIALIZATION
   // ============================================
   function initialize() {
-    console.log('🎨 Google Flow Automation Pro - Content Script Loaded v2.0');
+    console.log('🎨 Google Flow Automation Pro - Content Script loaded');
     console.log('📍 Current URL:', window.location.href);
+    loadSelectorProfile();
     setupImageObserver();
     setupMessageListener();
+    setupPageHookListener();
     
     // Debug: Log found elements on page load
     setTimeout(() => {
@@ -125,8 +170,9 @@
     buttons.forEach((btn, i) => {
       const ariaLabel = btn.getAttribute('aria-label');
       const text = btn.textContent?.trim().substring(0, 30);
-      if (ariaLabel || text) {
-        console.log(`  Button ${i}: aria-label="${ariaLabel}", text="${text}"`);
+      const icons = getIconNames(btn).join(',');
+      if (ariaLabel || text || icons) {
+        console.log(`  Button ${i}: aria-label="${ariaLabel}", text="${text}", icons="${icons}"`);
       }
     });
   }
@@ -142,22 +188,22 @@
   }
   
   async function handleMessage(message, sender, sendResponse) {
-    console.log('📩 Content script received:', message.type);
-    
     switch (message.type) {
       case 'PING':
         sendResponse({ pong: true });
         break;
         
-      case 'SUBMIT_PROMPT':
-        const result = await submitPrompt(message.prompt, message.index, message.settings);
-        sendResponse({ success: result });
+      case 'SUBMIT_PROMPT': {
+        const acknowledgement = await submitPrompt(message.prompt, message.index, message.settings, message.references, message.frames);
+        sendResponse({ success: acknowledgement !== null, acknowledgement: acknowledgement });
         break;
+      }
         
-      case 'DOWNLOAD_BLOB':
-        await downloadBlobImage(message.blobUrl, message.filename, message.promptId);
-        sendResponse({ success: true });
+      case 'DOWNLOAD_BLOB': {
+        const downloadResult = await downloadBlobImage(message.blobUrl, message.filename, message.promptId);
+        sendResponse(downloadResult);
         break;
+      }
         
       case 'GET_PAGE_STATE':
         const pageState = getPageState();
@@ -165,8 +211,12 @@
         break;
         
       case 'SET_OUTPUT_COUNT':
-        await setOutputCount(message.count);
-        sendResponse({ success: true });
+        try {
+          await applyGenerationSettings({ outputCount: message.count });
+          sendResponse({ success: true });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
         break;
         
       case 'DEBUG':
@@ -174,17 +224,405 @@
         sendResponse({ success: true });
         break;
         
+      case 'TEST_SELECTORS':
+        sendResponse({ success: true, results: testSelectors(message.selectors || SELECTORS) });
+        break;
+        
+      case 'START_PICKER':
+        startPicker(message.keys);
+        sendResponse({ success: true });
+        break;
+        
+      case 'RUN_DIAGNOSTICS':
+        sendResponse({ success: true, report: await runDiagnostics(message.highlight !== false) });
+        break;
+        
       default:
         sendResponse({ success: false, error: 'Unknown message type' });
     }
   }
   
+  // ============================================
+  // SELECTOR PROFILES
+  // The options page stores { activeProfile, profiles: { name: { selectors } } }.
+  // Lists in the active profile replace the default list of the same key,
+  // and changes apply to the open page right away.
+  // ============================================
+  const SELECTOR_PROFILES_KEY = 'selectorProfiles';
+  
+  async function loadSelectorProfile() {
+    try {
+      const result = await chrome.storage.local.get(SELECTOR_PROFILES_KEY);
+      applySelectorProfile(result[SELECTOR_PROFILES_KEY]);
+    } catch (error) {
+      console.error('Failed to load selector profile:', error);
+    }
+    
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[SELECTOR_PROFILES_KEY]) return;
+      applySelectorProfile(changes[SELECTOR_PROFILES_KEY].newValue);
+    });
+  }
+  
+  function applySelectorProfile(store) {
+    const name = store && store.activeProfile;
+    const profile = name && store.profiles && store.profiles[name];
+    const selectors = { ...globalThis.GFA_DEFAULT_SELECTORS };
+    
+    if (profile && profile.selectors) {
+      Object.entries(profile.selectors).forEach(([key, list]) => {
+        if (Array.isArray(list) && list.length > 0) selectors[key] = list;
+      });
+    }
+    
+    SELECTORS = selectors;
+    PICKED = (profile && profile.picked) || {};
+    console.log(`🧩 Selector profile: ${profile ? name : 'Default'}`);
+  }
+  
+  function testSelectors(selectors) {
+    const results = {};
+    
+    Object.entries(selectors).forEach(([key, list]) => {
+      const result = { matches: 0, visible: 0, invalid: [] };
+      
+      (list || []).forEach(selector => {
+        let elements;
+        try {
+          elements = document.querySelectorAll(selector);
+        } catch (e) {
+          result.invalid.push(selector);
+          return;
+        }
+        result.matches += elements.length;
+        result.visible += [...elements].filter(isElementVisible).length;
+      });
+      
+      results[key] = result;
+    });
+    
+    return results;
+  }
+  
+  // ============================================
+  // ELEMENT PICKER
+  // The user points at the prompt box, the send button and the results
+  // area. Each pick is turned into a selector and stored under `picked` in
+  // the active profile, where the finders try it before any heuristic.
+  // ============================================
+  const PICKER_PROFILE = 'Picked';
+  const PICKER_EVENTS = ['mousemove', 'mousedown', 'mouseup', 'pointerdown', 'pointerup', 'click', 'keydown'];
+  
+  // `target` widens a click on an icon or span to the control around it
+  const PICKER_STEPS = [
+    { key: 'promptInput', label: 'the prompt box', target: 'textarea, input, [contenteditable="true"], [role="textbox"]' },
+    { key: 'generateButton', label: 'the send button', target: 'button, [role="button"]' },
+    { key: 'imageContainer', label: 'the area where results appear', target: null }
+  ];
+  
+  // Attributes that usually survive a redeploy, most specific first
+  const STABLE_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-qa', 'name', 'aria-label', 'placeholder', 'role', 'type'];
+  const MAX_SELECTOR_DEPTH = 8;
+  
+  let picker = null;
+  
+  function startPicker(keys) {
+    if (picker) stopPicker();
+    
+    const steps = Array.isArray(keys) && keys.length > 0
+      ? PICKER_STEPS.filter(step => keys.includes(step.key))
+      : PICKER_STEPS;
+    
+    picker = {
+      steps: steps,
+      index: 0,
+      picks: {},
+      hovered: null,
+      target: null,
+      trail: [], // elements left behind by widening with ArrowUp
+      highlight: document.createElement('div'),
+      banner: createPickerBanner()
+    };
+    
+    picker.highlight.className = 'gfa-picker-highlight';
+    document.body.append(picker.highlight, picker.banner);
+    PICKER_EVENTS.forEach(type => window.addEventListener(type, handlePickerEvent, true));
+    
+    updatePickerBanner();
+    console.log('🎯 Element picker started');
+  }
+  
+  function stopPicker() {
+    if (!picker) return;
+    
+    PICKER_EVENTS.forEach(type => window.removeEventListener(type, handlePickerEvent, true));
+    picker.highlight.remove();
+    picker.banner.remove();
+    picker = null;
+  }
+  
+  function createPickerBanner() {
+    const banner = document.createElement('div');
+    banner.className = 'gfa-picker-banner';
+    banner.innerHTML = `
+      <div class="gfa-picker-step"></div>
+      <div class="gfa-picker-title"></div>
+      <div class="gfa-picker-hint">↑ / ↓ widen or narrow the highlight · Esc cancels</div>
+      <div class="gfa-picker-actions">
+        <button data-action="skip">Skip</button>
+        <button data-action="cancel">Cancel</button>
+      </div>
+    `;
+    
+    banner.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]');
+      if (!action) return;
+      
+      if (action.dataset.action === 'skip') advancePicker();
+      if (action.dataset.action === 'cancel') stopPicker();
+    });
+    
+    return banner;
+  }
+  
+  function updatePickerBanner() {
+    const step = picker.steps[picker.index];
+    picker.banner.querySelector('.gfa-picker-step').textContent = `Step ${picker.index + 1} of ${picker.steps.length}`;
+    picker.banner.querySelector('.gfa-picker-title').textContent = `Click ${step.label}`;
+  }
+  
+  function handlePickerEvent(e) {
+    // The extension's own clicks (submitting prompts) must go through
+    if (!e.isTrusted || picker.banner.contains(e.target)) return;
+    
+    if (e.type === 'keydown') {
+      handlePickerKey(e);
+      return;
+    }
+    
+    if (e.type === 'mousemove') {
+      if (e.target !== picker.hovered) {
+        picker.hovered = e.target;
+        picker.trail = [];
+        setPickerTarget(resolvePickerTarget(e.target));
+      }
+      return;
+    }
+    
+    // Flow must not react to clicks meant for the picker
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    
+    if (e.type === 'click' && picker.target) {
+      const step = picker.steps[picker.index];
+      picker.picks[step.key] = buildSelector(picker.target);
+      console.log(`🎯 Picked ${step.key}:`, picker.picks[step.key]);
+      advancePicker();
+    }
+  }
+  
+  function handlePickerKey(e) {
+    if (e.key === 'Escape') {
+      stopPicker();
+    } else if (e.key === 'ArrowUp' && picker.target) {
+      const parent = picker.target.parentElement;
+      if (!parent || parent === document.body) return;
+      picker.trail.push(picker.target);
+      setPickerTarget(parent);
+    } else if (e.key === 'ArrowDown' && picker.trail.length > 0) {
+      setPickerTarget(picker.trail.pop());
+    } else {
+      return;
+    }
+    
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  }
+  
+  function resolvePickerTarget(element) {
+    const step = picker.steps[picker.index];
+    return (step.target && element.closest(step.target)) || element;
+  }
+  
+  function setPickerTarget(element) {
+    picker.target = element;
+    
+    const rect = element.getBoundingClientRect();
+    Object.assign(picker.highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    picker.highlight.dataset.label = describeElement(element);
+  }
+  
+  function advancePicker() {
+    picker.index++;
+    picker.target = null;
+    picker.hovered = null;
+    picker.trail = [];
+    picker.highlight.style.display = 'none';
+    
+    if (picker.index < picker.steps.length) {
+      updatePickerBanner();
+      return;
+    }
+    
+    const picks = picker.picks;
+    stopPicker();
+    finishPicker(picks);
+  }
+  
+  async function finishPicker(picks) {
+    const count = Object.keys(picks).length;
+    if (count === 0) return;
+    
+    try {
+      const name = await savePickedSelectors(picks);
+      showPageIndicator(`Saved ${count} pick(s) to the "${name}" selector profile`, 'success');
+    } catch (error) {
+      console.error('Failed to save picked selectors:', error);
+      showPageIndicator('Could not save the picked elements', 'error');
+    }
+  }
+  
+  async function savePickedSelectors(picks) {
+    const result = await chrome.storage.local.get(SELECTOR_PROFILES_KEY);
+    const store = result[SELECTOR_PROFILES_KEY] || { activeProfile: '', profiles: {} };
+    store.profiles = store.profiles || {};
+    
+    // The bundled default profile is read-only, so picks made while it is
+    // active go to a profile of their own, which then becomes active
+    const name = store.profiles[store.activeProfile] ? store.activeProfile : PICKER_PROFILE;
+    const profile = store.profiles[name] || { selectors: {} };
+    
+    store.profiles[name] = {
+      ...profile,
+      picked: { ...profile.picked, ...picks },
+      updatedAt: Date.now()
+    };
+    store.activeProfile = name;
+    
+    await chrome.storage.local.set({ [SELECTOR_PROFILES_KEY]: store });
+    return name;
+  }
+  
+  function describeElement(element) {
+    const tag = element.tagName.toLowerCase();
+    const label = element.getAttribute('aria-label') || element.getAttribute('placeholder') || '';
+    return label ? `${tag} "${label.substring(0, 40)}"` : tag;
+  }
+  
+  // ============================================
+  // SELECTOR BUILDING
+  // ============================================
+  function buildSelector(element) {
+    // The element on its own, if something about it is unique
+    const own = getSelectorCandidates(element).find(selector => isUniqueSelector(selector, element));
+    if (own) return own;
+    
+    // Otherwise walk up: anchor on a uniquely named ancestor if there is
+    // one, and fall back to a child path from the nearest ancestors
+    let path = getPathStep(element);
+    let current = element;
+    
+    for (let depth = 0; depth < MAX_SELECTOR_DEPTH; depth++) {
+      const parent = current.parentElement;
+      if (!parent || parent === document.documentElement) break;
+      
+      const anchor = getSelectorCandidates(parent)
+        .filter(selector => selector !== parent.tagName.toLowerCase())
+        .map(selector => `${selector} ${path}`)
+        .find(selector => isUniqueSelector(selector, element));
+      if (anchor) return anchor;
+      
+      path = `${getPathStep(parent)} > ${path}`;
+      if (isUniqueSelector(path, element)) return path;
+      current = parent;
+    }
+    
+    return path;
+  }
+  
+  function getSelectorCandidates(element) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+    
+    if (element.id && isStableToken(element.id)) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+    
+    STABLE_ATTRIBUTES.forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value && value.length <= 80) {
+        candidates.push(`${tag}[${attribute}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`);
+      }
+    });
+    
+    const classes = [...element.classList].filter(isStableToken).map(name => `.${CSS.escape(name)}`);
+    classes.forEach(name => candidates.push(`${tag}${name}`));
+    if (classes.length > 1) candidates.push(`${tag}${classes.slice(0, 2).join('')}`);
+    
+    candidates.push(tag);
+    return candidates;
+  }
+  
+  function getPathStep(element) {
+    const best = getSelectorCandidates(element)[0];
+    const parent = element.parentElement;
+    if (!parent) return best;
+    
+    const siblings = [...parent.children].filter(child => child.matches(best));
+    if (siblings.length <= 1) return best;
+    
+    const sameTag = [...parent.children].filter(child => child.tagName === element.tagName);
+    return `${best}:nth-of-type(${sameTag.indexOf(element) + 1})`;
+  }
+  
+  function isStableToken(token) {
+    // Generated ids and CSS-in-JS class hashes change with every Flow deploy
+    if (token.startsWith('gfa-') || token.startsWith(':')) return false;
+    if (/^(sc|css|jsx|emotion|svelte)-/i.test(token)) return false;
+    if (/\d/.test(token)) return false;
+    if (token.length <= 8 && /[a-z][A-Z]/.test(token)) return false;
+    return /^[a-zA-Z][\w-]*$/.test(token);
+  }
+  
+  function isUniqueSelector(selector, element) {
+    try {
+      const matches = document.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  function findPickedElement(key) {
+    const selector = PICKED[key];
+    if (!selector) return null;
+    
+    try {
+      return [...document.querySelectorAll(selector)].find(isElementVisible) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+  
   // ============================================
   // SMART ELEMENT FINDING
   // ============================================
   function findInputElement() {
     console.log('🔎 Looking for input element...');
     
+    // Strategy 0: The element the user picked
+    const picked = findPickedElement('promptInput');
+    if (picked) {
+      console.log('✅ Found input via picked selector:', PICKED.promptInput);
+      return picked;
+    }
+    
     // Strategy 1: Try direct selectors
     for (const selector of SELECTORS.promptInput) {
       try {
@@ -250,11 +688,21 @@
   function findGenerateButton() {
     console.log('🔎 Looking for generate/send button...');
     
-    // Strategy 1: Find button with send/arrow icon near the input
+    // Strategy 0: The button the user picked
+    const picked = findPickedElement('generateButton');
+    if (picked) {
+      console.log('✅ Found button via picked selector:', PICKED.generateButton);
+      return picked;
+    }
+    
+    // Strategy 1: Score the buttons around the input; icons and the form
+    // count for more than labels, which depend on the UI language
     const input = findInputElement();
     if (input) {
       const inputRect = input.getBoundingClientRect();
       const buttons = document.querySelectorAll('button');
+      let bestBtn = null;
+      let bestScore = 0;
       
       // Look for button to the right of input or below it
       for (const btn of buttons) {
@@ -268,34 +716,22 @@
            btnRect.top <= inputRect.bottom + 200)
         );
         
-        if (isNearInput && isElementVisible(btn)) {
-          // Check if it looks like a send button
-          const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
-          const className = (btn.className || '').toLowerCase();
-          const innerHTML = btn.innerHTML.toLowerCase();
-          
-          // Check for arrow/send indicators
-          const isSendButton = (
-            ariaLabel.includes('send') ||
-            ariaLabel.includes('submit') ||
-            ariaLabel.includes('generate') ||
-            ariaLabel.includes('create') ||
-            className.includes('send') ||
-            className.includes('submit') ||
-            className.includes('arrow') ||
-            innerHTML.includes('arrow') ||
-            innerHTML.includes('send') ||
-            // SVG arrow check
-            btn.querySelector('svg path[d*="M"]') !== null
-          );
-          
-          if (isSendButton) {
-            console.log('✅ Found send button near input');
-            return btn;
-          }
+        if (!isNearInput || !isElementVisible(btn) || isDismissButton(btn)) continue;
+        
+        // Ties go to the rightmost button, where send sits in Flow's composer
+        const score = scoreSendButton(btn, input);
+        if (score > bestScore ||
+            (score > 0 && score === bestScore && btnRect.left > bestBtn.getBoundingClientRect().left)) {
+          bestBtn = btn;
+          bestScore = score;
         }
       }
       
+      if (bestBtn) {
+        console.log(`✅ Found send button near input (score ${bestScore})`);
+        return bestBtn;
+      }
+      
       // Fallback: Find the rightmost button near the input
       let rightmostBtn = null;
       let maxX = 0;
@@ -305,13 +741,10 @@
         const isNearInput = Math.abs(btnRect.top - inputRect.top) < 100 || 
                            (btnRect.top >= inputRect.bottom - 20 && btnRect.top <= inputRect.bottom + 100);
         
-        if (isNearInput && isElementVisible(btn) && btnRect.left > maxX) {
-          // Exclude buttons that are clearly not submit buttons
-          const text = btn.textContent?.toLowerCase() || '';
-          if (!text.includes('cancel') && !text.includes('clear') && !text.includes('close')) {
-            maxX = btnRect.left;
-            rightmostBtn = btn;
-          }
+        // Exclude buttons that are clearly not submit buttons
+        if (isNearInput && isElementVisible(btn) && btnRect.left > maxX && !isDismissButton(btn)) {
+          maxX = btnRect.left;
+          rightmostBtn = btn;
         }
       }
       
@@ -340,6 +773,43 @@
     return null;
   }
   
+  function scoreSendButton(btn, input) {
+    let score = 0;
+    
+    if (getIconNames(btn).some(icon => SEND_ICONS.includes(icon))) score += 4;
+    
+    // Submits the form the prompt box is in
+    if (btn.type === 'submit' && btn.form && btn.form === input.closest('form')) score += 3;
+    
+    if (matchesLabel(btn, 'send')) score += 3;
+    
+    const className = String(btn.className || '').toLowerCase();
+    if (/send|submit|arrow/.test(className)) score += 1;
+    
+    // Icon-only buttons drawn with SVG
+    if (btn.querySelector('svg path[d*="M"]')) score += 1;
+    
+    return score;
+  }
+  
+  function isDismissButton(btn) {
+    return getIconNames(btn).some(icon => DISMISS_ICONS.includes(icon)) || matchesLabel(btn, 'dismiss');
+  }
+  
+  function getIconNames(element) {
+    return [...element.querySelectorAll(ICON_SELECTOR)]
+      .map(icon => (icon.getAttribute('data-icon') || icon.textContent).trim().toLowerCase())
+      .filter(name => name.length > 0);
+  }
+  
+  function matchesLabel(element, key) {
+    const text = [element.getAttribute('aria-label'), element.getAttribute('title'), element.textContent]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return LOCALE_LABELS[key].some(word => text.includes(word));
+  }
+  
   function isElementVisible(element) {
     if (!element) return false;
     const rect = element.getBoundingClientRect();
@@ -352,29 +822,68 @@
   }
   
   // ============================================
-  // PROMPT SUBMISSION (FIXED)
+  // PROMPT SUBMISSION
+  // A prompt counts as submitted only once Flow shows it took it: the input
+  // cleared, a card with the prompt text appeared, or a spinner started.
+  // Resolves to that acknowledgement, or null when submitting failed.
+  // Send is pressed a second time only when Flow plainly ignored the first
+  // press: the text is still in the box, and no card or spinner appeared
+  // even after the grace period. Any other second press could start, and
+  // bill, a second generation.
   // ============================================
-  async function submitPrompt(prompt, index, settings) {
-    state.currentPrompt = prompt;
+  const SUBMIT_ACK_TIMEOUT_MS = 8000;
+  const SUBMIT_ACK_GRACE_MS = 7000; // Extra wait for a card or spinner on a slow page
+  
+  async function submitPrompt(prompt, index, settings, references = [], frames = null) {
     state.settings = settings;
-    state.detectedImages.clear();
     state.submissionCount++;
     
+    // Anything already on the page before the first in-flight generation
+    // belongs to history, not to this prompt
+    if (state.generations.size === 0) {
+      getResultMedia().forEach(({ src }) => state.detectedImages.add(src));
+      getErrorMessages().forEach(({ element, text }) => state.reportedErrors.set(element, text));
+    }
+    
     console.log(`\n${'='.repeat(50)}`);
     console.log(`📝 SUBMITTING PROMPT ${index + 1}`);
     console.log(`Text: "${prompt.text.substring(0, 80)}..."`);
     console.log(`${'='.repeat(50)}`);
     
     try {
+      // Step 0: Make sure Flow is on the right generation type; prompts with
+      // frames always go through frames-to-video
+      await selectGenerationMode(frames ? 'frames' : (settings.mediaType || 'image'));
+      
+      // Step 0b: Outputs, aspect ratio and model, confirmed on the page
+      await applyGenerationSettings(settings);
+      
       // Step 1: Find the input field
       const inputElement = findInputElement();
       
       if (!inputElement) {
-        throw new Error('Could not find prompt input field');
+        throw Object.assign(new Error('Could not find prompt input field'), {
+          code: ERROR_CODES.INPUT_NOT_FOUND
+        });
       }
       
       console.log('Step 1: ✅ Found input element');
       
+      // Frames or reference images go on before the text; a prompt without
+      // any still clears the ones the previous prompt left behind
+      if (frames) {
+        if (references.length > 0) {
+          console.warn('⚠️ Frames-to-video takes no reference images, skipping them');
+        }
+        await attachFrames(frames);
+        console.log(`Step 1b: ✅ Set ${frames.end ? 'start and end frames' : 'start frame'}`);
+      } else {
+        await attachReferences(references, inputElement);
+        if (references.length > 0) {
+          console.log(`Step 1b: ✅ Attached ${references.length} reference image(s)`);
+        }
+      }
+      
       // Step 2: Clear and set the text
       await setInputValue(inputElement, prompt.text);
       console.log('Step 2: ✅ Text entered into input');
@@ -382,39 +891,145 @@
       // Step 3: Wait a moment for any React state updates
       await sleep(300);
       
-      // Step 4: Find the generate/send button
-      const generateButton = findGenerateButton();
-      
-      if (!generateButton) {
-        console.log('⚠️ Generate button not found, trying keyboard submit...');
-        // Try pressing Enter as fallback
-        inputElement.dispatchEvent(new KeyboardEvent('keydown', { 
-          key: 'Enter', 
-          code: 'Enter', 
-          keyCode: 13,
-          bubbles: true 
-        }));
-        console.log('Step 3: ⚠️ Sent Enter key as fallback');
-      } else {
-        console.log('Step 3: ✅ Found generate button');
-        
-        // Step 5: Click the button with multiple methods
-        await clickButtonRobust(generateButton);
-        console.log('Step 4: ✅ Clicked generate button');
-      }
-      
-      console.log(`🎉 Prompt ${index + 1} submitted successfully!\n`);
+      // Step 4: Send it, and wait until Flow shows it took the prompt
+      const acknowledgement = await sendAndConfirm(inputElement, prompt.text);
+      console.log(`🎉 Prompt ${index + 1} accepted by Flow (${acknowledgement.signal})\n`);
       
       // Start monitoring for new images
-      startImageMonitoring(prompt);
+      startImageMonitoring(prompt, settings, frames ? 'video' : undefined);
       
-      return true;
+      return acknowledgement;
       
     } catch (error) {
       console.error(`❌ Failed to submit prompt ${index + 1}:`, error);
-      notifyGenerationFailed(prompt.id, error.message);
-      return false;
+      notifyGenerationFailed(prompt.id, error.message, error.code || ERROR_CODES.SUBMIT_ERROR);
+      return null;
+    }
+  }
+  
+  async function sendAndConfirm(inputElement, text) {
+    const baseline = captureSubmitState(inputElement, text);
+    
+    await pressSend(inputElement);
+    const signal = await waitForSubmitAcknowledgement(baseline);
+    if (signal) return { signal };
+    
+    // Retry once, and only while the box still holds the whole prompt
+    const input = baseline.input.isConnected ? baseline.input : findInputElement();
+    if (!baseline.inputHadText || !input || !hasPromptText(input, baseline.textKey)) {
+      throw Object.assign(new Error('Flow did not show that it accepted the prompt'), {
+        code: ERROR_CODES.SUBMIT_NOT_CONFIRMED
+      });
+    }
+    
+    console.log('⚠️ Flow ignored the send, pressing it once more...');
+    await pressSend(input);
+    const retrySignal = await waitForSubmitAcknowledgement(baseline);
+    if (retrySignal) return { signal: retrySignal };
+    
+    throw Object.assign(new Error('Flow did not show that it accepted the prompt, even after a second send'), {
+      code: ERROR_CODES.SUBMIT_NOT_CONFIRMED
+    });
+  }
+  
+  async function pressSend(inputElement) {
+    const generateButton = findGenerateButton();
+    
+    if (!generateButton) {
+      console.log('⚠️ Generate button not found, trying keyboard submit...');
+      // Try pressing Enter as fallback
+      inputElement.dispatchEvent(new KeyboardEvent('keydown', { 
+        key: 'Enter', 
+        code: 'Enter', 
+        keyCode: 13,
+        bubbles: true 
+      }));
+      console.log('Step 4: ⚠️ Sent Enter key as fallback');
+    } else {
+      await clickButtonOnce(generateButton);
+      console.log('Step 4: ✅ Clicked generate button');
+    }
+  }
+  
+  async function waitForSubmitAcknowledgement(baseline) {
+    const signal = await waitForAcknowledgement(baseline, SUBMIT_ACK_TIMEOUT_MS);
+    if (signal) return signal;
+    
+    // A slow Flow may still be taking the prompt; only a new card or
+    // spinner proves it did, and sending again could submit it twice
+    console.log('⚠️ No sign yet that Flow took the prompt, waiting for a card or spinner...');
+    return waitForAcknowledgement({ ...baseline, inputHadText: false }, SUBMIT_ACK_GRACE_MS);
+  }
+  
+  function captureSubmitState(inputElement, text) {
+    const textKey = normalizePromptText(text).substring(0, PROMPT_KEY_LENGTH);
+    return {
+      input: inputElement,
+      textKey: textKey,
+      // If the text never made it into the box, an empty box proves nothing
+      inputHadText: hasPromptText(inputElement, textKey),
+      cards: countPromptCards(textKey),
+      spinners: countProgressIndicators()
+    };
+  }
+  
+  async function waitForAcknowledgement(baseline, timeoutMs) {
+    let signal = null;
+    
+    await waitFor(() => {
+      signal = getAcknowledgement(baseline);
+      return signal !== null;
+    }, timeoutMs, 250);
+    
+    return signal;
+  }
+  
+  function getAcknowledgement(baseline) {
+    // Flow empties the prompt box once it has taken the prompt; the box may
+    // also be re-rendered, so look it up again
+    if (baseline.inputHadText) {
+      const input = baseline.input.isConnected ? baseline.input : findInputElement();
+      if (input && !hasPromptText(input, baseline.textKey)) return 'input_cleared';
     }
+    
+    if (countPromptCards(baseline.textKey) > baseline.cards) return 'pending_card';
+    if (countProgressIndicators() > baseline.spinners) return 'spinner';
+    return null;
+  }
+  
+  function hasPromptText(element, textKey) {
+    const text = element.tagName === 'TEXTAREA' || element.tagName === 'INPUT'
+      ? element.value
+      : element.textContent;
+    return normalizePromptText(text || '').startsWith(textKey);
+  }
+  
+  function countPromptCards(textKey) {
+    const cards = new Set();
+    SELECTORS.generationCard.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(card => {
+          if (normalizePromptText(card.textContent || '').includes(textKey)) cards.add(card);
+        });
+      } catch (e) {
+        // Invalid selector in a custom profile
+      }
+    });
+    return cards.size;
+  }
+  
+  function countProgressIndicators() {
+    const indicators = new Set();
+    SELECTORS.progressIndicator.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => {
+          if (isElementVisible(el) && !el.closest('[class*="gfa-"]')) indicators.add(el);
+        });
+      } catch (e) {
+        // Invalid selector in a custom profile
+      }
+    });
+    return indicators.size;
   }
   
   async function setInputValue(element, text) {
@@ -465,156 +1080,755 @@
     element.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', bubbles: true }));
   }
   
-  async function clickButtonRobust(button) {
-    console.log('🖱️ Attempting to click button...');
-    
-    // Method 1: Direct click
-    button.click();
-    await sleep(50);
-    
-    // Method 2: Focus and click
-    button.focus();
-    button.click();
-    await sleep(50);
-    
-    // Method 3: Mouse events
+  async function clickButtonOnce(button) {
+    // The press a real click makes, ending in exactly one click event;
+    // Flow may listen for pointer or mouse events before the click
     const rect = button.getBoundingClientRect();
-    const centerX = rect.left + rect.width / 2;
-    const centerY = rect.top + rect.height / 2;
-    
-    const mouseDownEvent = new MouseEvent('mousedown', {
+    const position = {
       bubbles: true,
       cancelable: true,
       view: window,
-      clientX: centerX,
-      clientY: centerY
-    });
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2
+    };
     
-    const mouseUpEvent = new MouseEvent('mouseup', {
-      bubbles: true,
-      cancelable: true,
-      view: window,
-      clientX: centerX,
-      clientY: centerY
-    });
+    button.focus();
+    button.dispatchEvent(new PointerEvent('pointerdown', position));
+    button.dispatchEvent(new MouseEvent('mousedown', position));
+    await sleep(50);
+    button.dispatchEvent(new PointerEvent('pointerup', position));
+    button.dispatchEvent(new MouseEvent('mouseup', position));
+    button.click();
     
-    const clickEvent = new MouseEvent('click', {
-      bubbles: true,
-      cancelable: true,
-      view: window,
-      clientX: centerX,
-      clientY: centerY
-    });
+    console.log('🖱️ Click dispatched');
+  }
+  
+  // ============================================
+  // REFERENCE IMAGES
+  // Files are handed to Flow's own file input through a DataTransfer, the
+  // same way a drop or picker would, then we wait for the previews. Only
+  // previews this script attached are removed again; images the user added
+  // by hand are left alone.
+  // ============================================
+  const REFERENCE_UPLOAD_TIMEOUT_MS = 30000;
+  const COMPOSER_SEARCH_DEPTH = 6;
+  
+  async function attachReferences(references, inputElement) {
+    const composer = findComposer(inputElement);
+    await clearAttachedReferences(composer);
     
-    button.dispatchEvent(mouseDownEvent);
-    await sleep(50);
-    button.dispatchEvent(mouseUpEvent);
-    await sleep(50);
-    button.dispatchEvent(clickEvent);
+    if (references.length === 0) return;
     
-    // Method 4: Pointer events (for modern browsers)
-    const pointerDown = new PointerEvent('pointerdown', {
-      bubbles: true,
-      cancelable: true,
-      view: window,
-      clientX: centerX,
-      clientY: centerY
+    let fileInput = findFileInput(composer);
+    if (!fileInput) {
+      const uploadButton = findInScope(composer, SELECTORS.referenceUpload);
+      if (uploadButton) {
+        uploadButton.click();
+        await sleep(500);
+        fileInput = findFileInput(composer);
+      }
+    }
+    
+    if (!fileInput) {
+      throw Object.assign(new Error('Could not find Flow\'s image upload control'), {
+        code: ERROR_CODES.REFERENCE_UPLOAD_FAILED
+      });
+    }
+    
+    const files = references.map(dataUrlToFile);
+    const previewsBefore = getPreviewSources(composer);
+    
+    await setInputFiles(fileInput, files);
+    
+    const uploaded = await waitFor(
+      () => getPreviewSources(composer).size >= previewsBefore.size + files.length,
+      REFERENCE_UPLOAD_TIMEOUT_MS
+    );
+    if (!uploaded) {
+      console.warn('⚠️ Reference previews did not appear, submitting anyway');
+    }
+    
+    rememberPreviews(composer, previewsBefore);
+  }
+  
+  async function setInputFiles(fileInput, files) {
+    // Inputs without `multiple` only take one file per change event
+    const batches = fileInput.multiple ? [files] : files.map(file => [file]);
+    for (const batch of batches) {
+      const transfer = new DataTransfer();
+      batch.forEach(file => transfer.items.add(file));
+      fileInput.files = transfer.files;
+      fileInput.dispatchEvent(new Event('input', { bubbles: true }));
+      fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+      await sleep(300);
+    }
+  }
+  
+  async function clearAttachedReferences(scope) {
+    // Nothing attached by the previous prompt means nothing to remove
+    if (state.attachedPreviews.size === 0) return;
+    
+    const previews = [...scope.querySelectorAll('img')]
+      .filter(img => state.attachedPreviews.has(img.src));
+    
+    for (const img of previews) {
+      state.attachedPreviews.delete(img.src);
+      const removeButton = findPreviewRemoveButton(img, scope);
+      if (removeButton) {
+        removeButton.click();
+        await sleep(200);
+      } else {
+        console.warn('⚠️ Could not find the remove button of an attached image');
+      }
+    }
+  }
+  
+  function findPreviewRemoveButton(img, scope) {
+    // The chip is the closest ancestor holding this preview and a remove
+    // button; one holding a second image is a row of chips, not a chip
+    for (let element = img.parentElement; element && element !== scope; element = element.parentElement) {
+      if (element.querySelectorAll('img').length > 1) return null;
+      const button = findInScope(element, SELECTORS.referenceRemove);
+      if (button) return button;
+    }
+    return null;
+  }
+  
+  function getPreviewSources(scope) {
+    return new Set([...scope.querySelectorAll('img')].map(img => img.src));
+  }
+  
+  function rememberPreviews(scope, sourcesBefore) {
+    scope.querySelectorAll('img').forEach(img => {
+      // Previews are not results
+      state.detectedImages.add(img.src);
+      if (!sourcesBefore.has(img.src)) state.attachedPreviews.add(img.src);
     });
+  }
+  
+  function findComposer(inputElement) {
+    let element = inputElement.parentElement;
     
-    const pointerUp = new PointerEvent('pointerup', {
-      bubbles: true,
-      cancelable: true,
-      view: window,
-      clientX: centerX,
-      clientY: centerY
+    for (let depth = 0; element && element !== document.body && depth < COMPOSER_SEARCH_DEPTH; depth++) {
+      if (element.querySelector('input[type="file"]')) return element;
+      element = element.parentElement;
+    }
+    
+    // Never the whole page: removals are only clicked inside the composer
+    return inputElement.closest('form') || inputElement.parentElement;
+  }
+  
+  function findFileInput(composer) {
+    return composer.querySelector('input[type="file"][accept*="image"]') ||
+           composer.querySelector('input[type="file"]') ||
+           document.querySelector('input[type="file"][accept*="image"]');
+  }
+  
+  function findInScope(scope, selectors) {
+    for (const selector of selectors) {
+      for (const el of scope.querySelectorAll(selector)) {
+        if (isElementVisible(el)) return el;
+      }
+    }
+    return null;
+  }
+  
+  function dataUrlToFile(reference) {
+    // Decoded by hand; fetching a data: URL can trip the page's CSP
+    const [header, base64] = reference.dataUrl.split(',');
+    const type = reference.type || (header.match(/^data:([^;]+)/) || [])[1] || 'image/png';
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    return new File([bytes], reference.name || 'reference.png', { type: type });
+  }
+  
+  // ============================================
+  // START AND END FRAMES
+  // Each frame slot opens an upload (and usually a crop dialog) of its own.
+  // An end slot left over from the previous prompt is cleared when the
+  // current prompt only has a start frame.
+  // ============================================
+  async function attachFrames(frames) {
+    for (const slot of ['start', 'end']) {
+      const slotElement = findFrameSlot(slot);
+      
+      if (!slotElement) {
+        if (!frames[slot]) continue;
+        throw Object.assign(new Error(`Could not find the ${slot} frame slot`), {
+          code: ERROR_CODES.FRAME_UPLOAD_FAILED
+        });
+      }
+      
+      await clearAttachedReferences(slotElement.parentElement);
+      if (frames[slot]) {
+        await fillFrameSlot(slot, frames[slot]);
+      }
+    }
+  }
+  
+  async function fillFrameSlot(slot, frame) {
+    // Clearing may have re-rendered the slot
+    const slotElement = findFrameSlot(slot);
+    const previewsBefore = getPreviewSources(slotElement.parentElement);
+    slotElement.click();
+    await sleep(500);
+    
+    const dialog = document.querySelector('[role="dialog"]');
+    const fileInput = (dialog && dialog.querySelector('input[type="file"]')) ||
+                      slotElement.parentElement.querySelector('input[type="file"]') ||
+                      findFileInput(document);
+    
+    if (!fileInput) {
+      throw Object.assign(new Error(`Could not find the upload control for the ${slot} frame`), {
+        code: ERROR_CODES.FRAME_UPLOAD_FAILED
+      });
+    }
+    
+    await setInputFiles(fileInput, [dataUrlToFile(frame)]);
+    
+    // Accept the crop dialog if Flow shows one
+    await waitFor(() => findFrameConfirm() || frameSlotHasPreview(slot), REFERENCE_UPLOAD_TIMEOUT_MS);
+    const confirm = findFrameConfirm();
+    if (confirm) {
+      confirm.click();
+      await sleep(500);
+    }
+    
+    if (!await waitFor(() => frameSlotHasPreview(slot), REFERENCE_UPLOAD_TIMEOUT_MS)) {
+      throw Object.assign(new Error(`The ${slot} frame did not upload`), {
+        code: ERROR_CODES.FRAME_UPLOAD_FAILED
+      });
+    }
+    
+    rememberPreviews(findFrameSlot(slot).parentElement, previewsBefore);
+  }
+  
+  function findFrameSlot(slot) {
+    const pattern = FRAME_SLOTS[slot];
+    
+    for (const selector of SELECTORS.frameSlot) {
+      for (const el of document.querySelectorAll(selector)) {
+        const label = `${el.getAttribute('aria-label') || ''} ${el.innerText || ''}`;
+        if (isElementVisible(el) && pattern.test(label)) return el;
+      }
+    }
+    return null;
+  }
+  
+  function frameSlotHasPreview(slot) {
+    const slotElement = findFrameSlot(slot);
+    return Boolean(slotElement && slotElement.parentElement.querySelector('img'));
+  }
+  
+  function findFrameConfirm() {
+    for (const selector of SELECTORS.frameConfirm) {
+      for (const el of document.querySelectorAll(selector)) {
+        if (isElementVisible(el) && FRAME_CONFIRM_TEXT.test((el.innerText || '').trim())) return el;
+      }
+    }
+    return null;
+  }
+  
+  // ============================================
+  // GENERATION TYPE
+  // ============================================
+  async function selectGenerationMode(mediaType) {
+    if (state.currentMode === mediaType) return;
+    
+    const target = FLOW_MODES[mediaType];
+    const control = findModeControl();
+    
+    // Older layouts have no mode dropdown; trust whatever the user picked
+    if (!control) {
+      console.warn(`⚠️ No generation type control found, assuming Flow is set to ${mediaType}`);
+      state.currentMode = mediaType;
+      return;
+    }
+    
+    if (target.test(getControlText(control))) {
+      state.currentMode = mediaType;
+      return;
+    }
+    
+    console.log(`🎛️ Switching Flow to ${mediaType} generation...`);
+    
+    if (control.tagName === 'SELECT') {
+      const option = [...control.options].find(opt => target.test(opt.textContent.trim()));
+      if (option) {
+        control.value = option.value;
+        control.dispatchEvent(new Event('change', { bubbles: true }));
+        state.currentMode = mediaType;
+        return;
+      }
+    } else {
+      control.click();
+      await sleep(500);
+      
+      const option = findModeOption(target);
+      if (option) {
+        option.click();
+        await sleep(500);
+        state.currentMode = mediaType;
+        return;
+      }
+      
+      // Close the menu we opened
+      document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    }
+    
+    throw Object.assign(new Error(`Could not switch Flow to ${mediaType} generation`), {
+      code: ERROR_CODES.MODE_NOT_FOUND
     });
+  }
+  
+  function findModeControl() {
+    const anyMode = Object.values(FLOW_MODES);
     
-    button.dispatchEvent(pointerDown);
-    await sleep(50);
-    button.dispatchEvent(pointerUp);
+    for (const selector of SELECTORS.modeSelector) {
+      for (const el of document.querySelectorAll(selector)) {
+        if (!isElementVisible(el)) continue;
+        const text = getControlText(el);
+        if (anyMode.some(pattern => pattern.test(text))) return el;
+      }
+    }
     
-    console.log('🖱️ Click events dispatched');
+    return null;
+  }
+  
+  function findModeOption(target) {
+    for (const selector of SELECTORS.modeOption) {
+      for (const el of document.querySelectorAll(selector)) {
+        if (isElementVisible(el) && target.test((el.innerText || '').trim())) return el;
+      }
+    }
+    return null;
+  }
+  
+  function getControlText(el) {
+    if (el.tagName === 'SELECT') {
+      return el.selectedOptions[0] ? el.selectedOptions[0].textContent.trim() : '';
+    }
+    return (el.innerText || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
   }
   
   // ============================================
   // IMAGE MONITORING
+  // Each submitted prompt gets its own generation record. New images (or
+  // videos) are credited to a record by matching the prompt text Flow
+  // renders on the generation card, so several prompts can be in flight
+  // at once. An image no card ties to a prompt is never guessed at; its
+  // prompt times out instead. Videos take minutes, so they use the configurable video
+  // timeout instead of the image one.
   // ============================================
+  const GENERATION_TIMEOUT_MS = 120000;
+  const DEFAULT_VIDEO_TIMEOUT_MINUTES = 10;
+  const PROMPT_KEY_LENGTH = 60;
+  const CARD_SEARCH_DEPTH = 8;
+  
   function setupImageObserver() {
     state.observer = new MutationObserver((mutations) => {
-      if (!state.currentPrompt) return;
+      if (state.generations.size === 0) return;
       
       for (const mutation of mutations) {
         if (mutation.type === 'childList' || 
             (mutation.type === 'attributes' && mutation.attributeName === 'src')) {
           checkForNewImages();
+          checkForErrors();
+          return;
         }
       }
     });
   }
   
-  function startImageMonitoring(prompt) {
-    const currentImages = getAllImages();
-    state.lastImageCount = currentImages.length;
+  function startImageMonitoring(prompt, settings, mediaType = settings.mediaType === 'video' ? 'video' : 'image') {
+    // A resubmitted prompt replaces its previous record
+    stopTrackingGeneration(prompt.id);
+    
+    const timeoutMs = mediaType === 'video'
+      ? (settings.videoTimeoutMinutes || DEFAULT_VIDEO_TIMEOUT_MINUTES) * 60000
+      : GENERATION_TIMEOUT_MS;
+    
+    const generation = {
+      promptId: prompt.id,
+      mediaType: mediaType,
+      textKey: normalizePromptText(prompt.text).substring(0, PROMPT_KEY_LENGTH),
+      expectedCount: settings.outputCount || 2,
+      imageUrls: [],
+      mediaIds: [],
+      startedAt: Date.now(),
+      // Until then only the page hook may credit results, once it has
+      // shown it understands Flow's responses
+      hookWindowEndsAt: Date.now() + timeoutMs / 2,
+      source: null, // 'hook' or 'dom', whichever credited the first result
+      timeoutId: null
+    };
+    
+    generation.timeoutId = setTimeout(() => {
+      handleGenerationTimeout(prompt.id);
+    }, timeoutMs);
+    
+    state.generations.set(prompt.id, generation);
+    
+    if (!state.pollInterval) {
+      state.observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['src']
+      });
+      
+      // Poll every second as a safety net for missed mutations
+      state.pollInterval = setInterval(() => {
+        checkForNewImages();
+        checkForErrors();
+      }, 1000);
+    }
+  }
+  
+  function stopTrackingGeneration(promptId) {
+    const generation = state.generations.get(promptId);
+    if (!generation) return;
+    
+    clearTimeout(generation.timeoutId);
+    state.generations.delete(promptId);
+    
+    if (state.generations.size === 0 && state.pollInterval) {
+      clearInterval(state.pollInterval);
+      state.pollInterval = null;
+      state.observer.disconnect();
+    }
+  }
+  
+  function handleGenerationTimeout(promptId) {
+    const generation = state.generations.get(promptId);
+    if (!generation) return;
+    
+    // Flow sometimes returns fewer images than requested; keep what arrived
+    if (generation.imageUrls.length > 0) {
+      console.log(`⚠️ Prompt ${promptId}: timed out with ${generation.imageUrls.length}/${generation.expectedCount} ${generation.mediaType}(s)`);
+      notifyImagesGenerated(promptId, generation.imageUrls, generation.mediaIds, generation.mediaType);
+    } else {
+      const label = generation.mediaType === 'video' ? 'Video' : 'Image';
+      notifyGenerationFailed(promptId, `${label} generation timeout`, ERROR_CODES.TIMEOUT);
+    }
+  }
+  
+  function checkForNewImages() {
+    if (![...state.generations.values()].some(isDomDetectable)) return;
+    
+    const newMedia = getResultMedia().filter(({ src }) => !state.detectedImages.has(src));
+    
+    if (newMedia.length === 0) return;
+    
+    const updated = new Set();
     
-    state.observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      attributeFilter: ['src']
+    newMedia.forEach(({ element, src, mediaType }) => {
+      const generation = findGenerationForImage(element);
+      // Posters and thumbnails of videos are not results of an image prompt
+      if (!generation || generation.mediaType !== mediaType || !isDomDetectable(generation)) return;
+      
+      state.detectedImages.add(src);
+      generation.source = 'dom';
+      generation.imageUrls.push(src);
+      updated.add(generation);
     });
     
-    // Poll for images every second
-    const pollInterval = setInterval(() => {
-      if (!state.currentPrompt || state.currentPrompt.id !== prompt.id) {
-        clearInterval(pollInterval);
-        return;
+    updated.forEach(generation => {
+      if (generation.imageUrls.length >= generation.expectedCount) {
+        notifyImagesGenerated(generation.promptId, generation.imageUrls, [], generation.mediaType);
       }
-      checkForNewImages();
-    }, 1000);
+    });
+  }
+  
+  function isDomDetectable(generation) {
+    // Results come from Flow's own responses once the page hook has credited
+    // one; a prompt the hook stays silent about falls back to the page
+    if (generation.source) return generation.source === 'dom';
+    return !state.networkCapture || Date.now() >= generation.hookWindowEndsAt;
+  }
+  
+  function findGenerationForImage(img) {
+    // Strategy 1: the card around the image shows the prompt that made it
+    const byCard = findGenerationByCard(img);
+    if (byCard) return byCard;
     
-    // Timeout after 2 minutes
-    setTimeout(() => {
-      clearInterval(pollInterval);
-      if (state.currentPrompt && state.currentPrompt.id === prompt.id) {
-        if (state.detectedImages.size === 0) {
-          notifyGenerationFailed(prompt.id, 'Image generation timeout');
-        }
+    // Strategy 2: with a single prompt in flight there is nobody to confuse
+    if (state.generations.size === 1) {
+      return state.generations.values().next().value;
+    }
+    
+    return null;
+  }
+  
+  function findGenerationByCard(target) {
+    // Only the nearest card counts; anything wider is the grid holding
+    // every prompt's card
+    const card = findNearestCard(target);
+    if (!card) return null;
+    
+    // A card we already attributed keeps its owner
+    if (card.dataset.gfaPromptId) {
+      const generation = state.generations.get(Number(card.dataset.gfaPromptId));
+      if (generation) return generation;
+    }
+    
+    const text = normalizePromptText(card.innerText || '');
+    if (!text) return null;
+    
+    // Identical or overlapping prompts cannot be told apart by their card
+    const matches = [...state.generations.values()].filter(g => 
+      g.textKey && text.includes(g.textKey)
+    );
+    if (matches.length !== 1) return null;
+    
+    // A card holding other cards is a container, never tagged
+    if (!containsGenerationCard(card)) {
+      card.dataset.gfaPromptId = matches[0].promptId;
+    }
+    return matches[0];
+  }
+  
+  function findNearestCard(target) {
+    let element = target.parentElement;
+    
+    for (let depth = 0; element && element !== document.body && depth < CARD_SEARCH_DEPTH; depth++) {
+      if (isGenerationCard(element)) return element;
+      element = element.parentElement;
+    }
+    
+    return null;
+  }
+  
+  function containsGenerationCard(element) {
+    return SELECTORS.generationCard.some(selector => {
+      try {
+        return element.querySelector(selector) !== null;
+      } catch (e) {
+        return false;
       }
-    }, 120000);
+    });
   }
   
-  function checkForNewImages() {
-    if (!state.currentPrompt) return;
+  function isGenerationCard(element) {
+    return SELECTORS.generationCard.some(selector => {
+      try {
+        return element.matches(selector);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+  
+  function normalizePromptText(text) {
+    return text
+      .toLowerCase()
+      .replace(/[\u2026]|\.\.\./g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  // ============================================
+  // NETWORK CAPTURE
+  // flow-hook.js runs in the page's main world and posts the media Flow
+  // returned for each generation request. These are the exact results, so
+  // while the hook is present they replace the DOM image heuristics above.
+  // ============================================
+  const HOOK_SOURCE = 'gfa-flow-hook';
+  const CONTENT_SOURCE = 'gfa-content';
+  
+  function setupPageHookListener() {
+    window.addEventListener('message', (event) => {
+      if (event.source !== window || !event.data || event.data.source !== HOOK_SOURCE) return;
+      
+      switch (event.data.type) {
+        case 'HOOK_READY':
+          // A live hook does not prove it understands Flow's responses; DOM
+          // detection keeps running until a hooked result is credited
+          if (!state.hookReady) {
+            console.log('🪝 Page hook active, watching Flow responses');
+          }
+          state.hookReady = true;
+          break;
+          
+        case 'GENERATION_RESULT':
+          handleGenerationResult(event.data);
+          break;
+      }
+    });
+    
+    // The hook is usually installed first; ask it to announce itself again
+    window.postMessage({ source: CONTENT_SOURCE, type: 'HOOK_PING' }, window.location.origin);
+  }
+  
+  function handleGenerationResult(result) {
+    if (state.generations.size === 0) return;
+    
+    const updated = new Set();
     
-    const images = getAllImages();
-    const newImages = images.filter(img => {
-      const src = img.src || img.dataset.src;
-      return src && !state.detectedImages.has(src);
+    (result.media || []).forEach(media => {
+      if (!media.url || state.detectedImages.has(media.url)) return;
+      
+      const generation = findGenerationForResult(media.prompt, result.prompts || [], media.mediaType);
+      if (!generation) return;
+      
+      state.detectedImages.add(media.url);
+      generation.source = 'hook';
+      generation.imageUrls.push(media.url);
+      if (media.id) generation.mediaIds.push(media.id);
+      updated.add(generation);
     });
     
-    if (newImages.length > 0) {
-      console.log(`🖼️ Detected ${newImages.length} new image(s)`);
+    if (updated.size > 0 && !state.networkCapture) {
+      console.log('🪝 Capturing results from Flow responses; DOM detection is now only a fallback');
+      state.networkCapture = true;
+    }
+    
+    updated.forEach(generation => {
+      if (generation.imageUrls.length >= generation.expectedCount) {
+        notifyImagesGenerated(generation.promptId, generation.imageUrls, generation.mediaIds, generation.mediaType);
+      }
+    });
+  }
+  
+  function findGenerationForResult(mediaPrompt, requestPrompts, mediaType) {
+    // A prompt already filled from the page is not mixed with hooked results
+    const open = [...state.generations.values()]
+      .filter(g => g.imageUrls.length < g.expectedCount && g.source !== 'dom')
+      .filter(g => !mediaType || g.mediaType === mediaType);
+    
+    // With a single prompt waiting there is nobody to confuse
+    if (open.length === 1) return open[0];
+    
+    // Flow echoes the prompt in the request and usually in the result
+    const texts = [mediaPrompt, ...requestPrompts]
+      .filter(Boolean)
+      .map(normalizePromptText);
+    
+    // No guessing: a result matching no prompt, or several, is dropped and
+    // its prompt is left to the timeout
+    const byText = open.filter(g => g.textKey && texts.some(text => text.includes(g.textKey)));
+    return byText.length === 1 ? byText[0] : null;
+  }
+  
+  // ============================================
+  // ERROR DETECTION
+  // Errors shown inside a generation card belong to that card's prompt.
+  // Page-wide banners belong to the most recent submit, since Flow raises
+  // refusals and limit notices right after the prompt is sent.
+  // ============================================
+  const BANNER_ATTRIBUTION_WINDOW_MS = 30000;
+  
+  function checkForErrors() {
+    if (state.generations.size === 0) return;
+    
+    getErrorMessages().forEach(({ element, text }) => {
+      if (state.reportedErrors.get(element) === text) return;
       
-      const imageUrls = [];
-      newImages.forEach(img => {
-        const src = img.src || img.dataset.src;
-        state.detectedImages.add(src);
-        imageUrls.push(src);
-      });
+      const code = classifyErrorText(text);
+      if (!code) return;
+      
+      const generation = findGenerationByCard(element) || findGenerationForBanner(code);
+      if (!generation) return;
       
-      const expectedCount = state.settings.outputCount || 2;
-      if (state.detectedImages.size >= expectedCount) {
-        notifyImagesGenerated(state.currentPrompt.id, imageUrls);
+      state.reportedErrors.set(element, text);
+      console.log(`⛔ Prompt ${generation.promptId}: Flow reported ${code}: "${text}"`);
+      notifyGenerationFailed(generation.promptId, text, code);
+    });
+  }
+  
+  function getErrorMessages() {
+    const messages = [];
+    const seen = new Set();
+    
+    SELECTORS.errorMessage.forEach(selector => {
+      let elements;
+      try {
+        elements = document.querySelectorAll(selector);
+      } catch (e) {
+        return;
       }
+      
+      elements.forEach(element => {
+        // Skip our own overlays and anything nested in an element we already took
+        if (seen.has(element) || element.closest('[class*="gfa-"]')) return;
+        if (!isElementVisible(element)) return;
+        
+        const text = (element.innerText || '').replace(/\s+/g, ' ').trim();
+        if (text.length < 5 || text.length > 300) return;
+        
+        seen.add(element);
+        messages.push({ element, text });
+      });
+    });
+    
+    return messages;
+  }
+  
+  function classifyErrorText(text) {
+    const match = ERROR_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.code : null;
+  }
+  
+  function findGenerationForBanner(code) {
+    const newest = [...state.generations.values()]
+      .sort((a, b) => b.startedAt - a.startedAt)[0];
+    if (!newest) return null;
+    
+    // Limit notices stop every generation, so there is always an owner
+    if (code === ERROR_CODES.RATE_LIMITED || code === ERROR_CODES.QUOTA_EXHAUSTED) {
+      return newest;
     }
+    
+    return Date.now() - newest.startedAt <= BANNER_ATTRIBUTION_WINDOW_MS ? newest : null;
+  }
+  
+  function getResultMedia() {
+    const media = getAllImages().map(img => ({
+      element: img,
+      src: img.src || img.dataset.src,
+      mediaType: 'image'
+    }));
+    
+    getAllVideos().forEach(video => {
+      media.push({ element: video, src: getVideoSrc(video), mediaType: 'video' });
+    });
+    
+    return media.filter(({ src }) => src);
+  }
+  
+  function getAllVideos() {
+    const videos = new Set();
+    
+    SELECTORS.generatedVideo.forEach(selector => {
+      getResultsRoot().querySelectorAll(selector).forEach(el => {
+        const video = el.closest('video');
+        if (video && isValidGeneratedVideo(video)) videos.add(video);
+      });
+    });
+    
+    return [...videos];
+  }
+  
+  function getResultsRoot() {
+    return findPickedElement('imageContainer') || document;
+  }
+  
+  function getVideoSrc(video) {
+    const source = video.querySelector('source[src]');
+    return video.currentSrc || video.getAttribute('src') || (source && source.src) || '';
+  }
+  
+  function isValidGeneratedVideo(video) {
+    // Skip small previews and hover loops in the toolbar
+    const rect = video.getBoundingClientRect();
+    return video.videoWidth >= 200 || rect.width >= 200;
   }
   
   function getAllImages() {
     const images = [];
     const seen = new Set();
     
-    // Find all images on the page
-    document.querySelectorAll('img').forEach(img => {
+    // Find all images on the page, or in the results area the user picked
+    getResultsRoot().querySelectorAll('img').forEach(img => {
       if (isValidGeneratedImage(img) && !seen.has(img.src)) {
         seen.add(img.src);
         images.push(img);
@@ -651,38 +1865,315 @@
     try {
       const response = await fetch(blobUrl);
       const blob = await response.blob();
+      const dataUrl = await blobToDataUrl(blob);
       
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        chrome.runtime.sendMessage({
-          type: 'DOWNLOAD_DATA_URL',
-          dataUrl: reader.result,
-          filename: filename,
-          promptId: promptId
-        });
-      };
-      reader.readAsDataURL(blob);
+      await chrome.runtime.sendMessage({
+        type: 'DOWNLOAD_DATA_URL',
+        dataUrl: dataUrl,
+        filename: filename,
+        promptId: promptId
+      });
+      
+      return { success: true };
     } catch (error) {
       console.error('Failed to download blob:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('Failed to read blob'));
+      reader.readAsDataURL(blob);
+    });
+  }
+  
+  // ============================================
+  // GENERATION SETTINGS
+  // Opens Flow's settings panel, picks each wanted value from its dropdown
+  // and reads the dropdown back. This runs before every prompt, since the
+  // user or a reload may have changed a value; a dropdown already showing
+  // the wanted value is not clicked. Like the generation type, a layout
+  // without the panel or one of its dropdowns submits with Flow's current
+  // settings; preflight warns about it.
+  // ============================================
+  async function applyGenerationSettings(settings) {
+    const wanted = {};
+    if (settings.outputCount) wanted.outputCount = String(settings.outputCount);
+    if (settings.aspectRatio) wanted.aspectRatio = settings.aspectRatio;
+    if (settings.model) wanted.model = settings.model;
+    
+    if (Object.keys(wanted).length === 0) return;
+    
+    const openedPanel = await openSettingsPanel();
+    
+    try {
+      for (const key of Object.keys(wanted)) {
+        if (!findSettingControl(SETTING_FIELDS[key].label)) {
+          console.warn(`⚠️ No ${key} control found, submitting with Flow's current ${key}`);
+          continue;
+        }
+        await setGenerationSetting(key, wanted[key]);
+        console.log(`⚙️ ${key} set to ${wanted[key]}`);
+      }
+    } finally {
+      if (openedPanel) {
+        document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        await sleep(300);
+      }
+    }
+  }
+  
+  async function openSettingsPanel() {
+    if (findSettingControl(SETTING_FIELDS.outputCount.label)) return false;
+    
+    const button = findInScope(document, SELECTORS.settingsButton);
+    if (!button) return false;
+    
+    button.click();
+    await waitFor(() => findSettingControl(SETTING_FIELDS.outputCount.label), 3000, 200);
+    return true;
+  }
+  
+  async function setGenerationSetting(key, value) {
+    const field = SETTING_FIELDS[key];
+    const target = field.option(value);
+    const fail = (reason) => Object.assign(new Error(`Could not set ${key} to ${value}: ${reason}`), {
+      code: ERROR_CODES.SETTINGS_NOT_APPLIED
+    });
+    
+    if (!target) throw fail('unknown value');
+    
+    const control = findSettingControl(field.label);
+    if (!control) throw fail('control not found');
+    
+    if (!target.test(getControlText(control))) {
+      if (control.tagName === 'SELECT') {
+        const option = [...control.options].find(opt => target.test(opt.textContent.trim()));
+        if (!option) throw fail('option not found');
+        control.value = option.value;
+        control.dispatchEvent(new Event('change', { bubbles: true }));
+      } else {
+        control.click();
+        await sleep(400);
+        
+        const option = findModeOption(target);
+        if (!option) {
+          document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+          throw fail('option not found');
+        }
+        option.click();
+        await sleep(400);
+      }
     }
+    
+    // The dropdown may have re-rendered; read it back from the page
+    const confirmed = await waitFor(() => {
+      const current = findSettingControl(field.label);
+      return Boolean(current && target.test(getControlText(current)));
+    }, 2000, 200);
+    
+    if (!confirmed) throw fail('page did not take the value');
+  }
+  
+  function findSettingControl(labelPattern) {
+    for (const selector of SELECTORS.modeSelector) {
+      for (const el of document.querySelectorAll(selector)) {
+        if (isElementVisible(el) && labelPattern.test(getSettingLabel(el))) return el;
+      }
+    }
+    return null;
+  }
+  
+  function getSettingLabel(control) {
+    // Flow labels some dropdowns with aria-label, others with nearby text
+    const ariaLabel = control.getAttribute('aria-label') || '';
+    const labelledBy = control.getAttribute('aria-labelledby');
+    const labelElement = (labelledBy && document.getElementById(labelledBy.split(' ')[0])) ||
+                         control.closest('label') ||
+                         (control.id && document.querySelector(`label[for="${CSS.escape(control.id)}"]`)) ||
+                         control.previousElementSibling;
+    
+    const labelText = labelElement ? labelElement.innerText || '' : '';
+    
+    return `${ariaLabel} ${labelText}`.replace(/\s+/g, ' ').trim();
   }
   
   // ============================================
-  // OUTPUT COUNT
+  // DIAGNOSTICS
+  // Preflight check the popup runs before a workflow starts. The result is
+  // also shown on the page: found elements are outlined and a panel lists
+  // every check, so problems can be seen where they are.
   // ============================================
-  async function setOutputCount(count) {
-    // Try to find and set output count selector
-    const selectors = ['select', 'input[type="number"]', '[class*="count"]'];
-    for (const sel of selectors) {
-      const el = document.querySelector(sel);
-      if (el) {
-        el.value = count.toString();
-        el.dispatchEvent(new Event('change', { bubbles: true }));
-        break;
+  const SIGN_IN_LINK = /accounts\.google\.com\/(ServiceLogin|signin)/i;
+  
+  async function runDiagnostics(highlight = true) {
+    const input = findInputElement();
+    const button = findGenerateButton();
+    const signInPrompt = findSignInPrompt();
+    const settings = await checkSettingsPanel();
+    const isProjectPage = window.location.href.includes('/project/');
+    
+    const checks = [
+      {
+        id: 'project',
+        label: 'Project page',
+        ok: isProjectPage,
+        detail: isProjectPage ? 'A Flow project is open' : 'Open or create a project in Flow first'
+      },
+      {
+        id: 'login',
+        label: 'Signed in',
+        ok: !signInPrompt,
+        detail: signInPrompt ? 'Flow is asking you to sign in' : 'No sign-in prompt on the page',
+        element: signInPrompt
+      },
+      {
+        id: 'input',
+        label: 'Prompt box',
+        ok: !!input,
+        detail: input ? `Found: ${describeElement(input)}` : 'Not found. Use "Pick elements" to point at it',
+        element: input
+      },
+      {
+        id: 'button',
+        label: 'Send button',
+        ok: !!button,
+        detail: button ? `Found: ${describeElement(button)}` : 'Not found. Use "Pick elements" to point at it',
+        element: button
+      },
+      {
+        id: 'settings',
+        label: 'Settings panel',
+        ok: settings.ok,
+        detail: settings.detail,
+        element: settings.element
       }
+    ];
+    
+    const ok = checks.every(check => check.ok);
+    console.log(`🩺 Preflight ${ok ? 'passed' : 'failed'}:`, checks.map(check => `${check.ok ? '✅' : '❌'} ${check.label}`).join(', '));
+    
+    if (!ok) debugPageElements();
+    if (highlight) showDiagnosticsOverlay(checks);
+    
+    return {
+      ok: ok,
+      url: window.location.href,
+      checks: checks.map(({ element, ...check }) => check)
+    };
+  }
+  
+  function findSignInPrompt() {
+    return [...document.querySelectorAll('a, button')].find(el => {
+      return isElementVisible(el) &&
+        (LOCALE_LABELS.signIn.includes(el.textContent.trim().toLowerCase()) || SIGN_IN_LINK.test(el.getAttribute('href') || ''));
+    }) || null;
+  }
+  
+  async function checkSettingsPanel() {
+    const opened = await openSettingsPanel();
+    const control = findSettingControl(SETTING_FIELDS.outputCount.label);
+    
+    if (opened) {
+      document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      await sleep(300);
+    }
+    
+    if (control) {
+      return { ok: true, detail: 'Outputs, aspect ratio and model can be set' };
+    }
+    
+    const button = findInScope(document, SELECTORS.settingsButton);
+    return {
+      ok: false,
+      detail: `${button ? 'Opened, but the outputs setting did not appear' : 'Settings button not found'}; prompts will use Flow's current settings`,
+      element: button
+    };
+  }
+  
+  function showDiagnosticsOverlay(checks) {
+    clearDiagnosticsOverlay();
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'gfa-diagnostics';
+    
+    // Outline what was found (and the settings button that didn't open),
+    // so a wrong match is as easy to spot as a missing one
+    checks.filter(check => check.element).forEach(check => {
+      const rect = check.element.getBoundingClientRect();
+      const marker = document.createElement('div');
+      marker.className = `gfa-diagnostics-marker ${check.ok ? 'ok' : 'failed'}`;
+      marker.dataset.label = check.label;
+      Object.assign(marker.style, {
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+      overlay.appendChild(marker);
+    });
+    
+    const failed = checks.filter(check => !check.ok);
+    const panel = document.createElement('div');
+    panel.className = 'gfa-diagnostics-panel';
+    panel.innerHTML = `
+      <div class="gfa-diagnostics-title"></div>
+      <ul class="gfa-diagnostics-list"></ul>
+      <div class="gfa-diagnostics-actions">
+        <button data-action="pick">Pick elements</button>
+        <button data-action="close">Close</button>
+      </div>
+    `;
+    panel.querySelector('.gfa-diagnostics-title').textContent = failed.length === 0
+      ? 'Preflight check passed'
+      : `Preflight check: ${failed.length} problem(s)`;
+    
+    checks.forEach(check => {
+      const item = document.createElement('li');
+      item.className = check.ok ? 'ok' : 'failed';
+      item.innerHTML = '<strong></strong><span></span>';
+      item.querySelector('strong').textContent = `${check.ok ? '✓' : '✕'} ${check.label}`;
+      item.querySelector('span').textContent = check.detail;
+      panel.querySelector('.gfa-diagnostics-list').appendChild(item);
+    });
+    
+    if (!failed.some(check => check.id === 'input' || check.id === 'button')) {
+      panel.querySelector('[data-action="pick"]').remove();
+    }
+    
+    panel.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]');
+      if (!action) return;
+      
+      clearDiagnosticsOverlay();
+      if (action.dataset.action === 'pick') startPicker(['promptInput', 'generateButton']);
+    });
+    
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+    
+    // Markers are fixed to where the elements were; they go stale on scroll
+    window.addEventListener('scroll', removeDiagnosticsMarkers, { capture: true, once: true });
+    
+    // A clean result needs no attention; problems stay until closed
+    if (failed.length === 0) {
+      setTimeout(() => {
+        if (overlay.isConnected) overlay.remove();
+      }, 6000);
     }
   }
   
+  function removeDiagnosticsMarkers() {
+    document.querySelectorAll('.gfa-diagnostics-marker').forEach(marker => marker.remove());
+  }
+  
+  function clearDiagnosticsOverlay() {
+    document.querySelectorAll('.gfa-diagnostics').forEach(overlay => overlay.remove());
+  }
+  
   // ============================================
   // PAGE STATE
   // ============================================
@@ -691,6 +2182,7 @@
       hasInputField: !!findInputElement(),
       hasGenerateButton: !!findGenerateButton(),
       imageCount: getAllImages().length,
+      videoCount: getAllVideos().length,
       url: window.location.href,
       isProjectPage: window.location.href.includes('/project/')
     };
@@ -699,22 +2191,38 @@
   // ============================================
   // NOTIFICATIONS
   // ============================================
-  function notifyImagesGenerated(promptId, imageUrls) {
+  function notifyImagesGenerated(promptId, imageUrls, mediaIds = [], mediaType = 'image') {
+    stopTrackingGeneration(promptId);
     chrome.runtime.sendMessage({
       type: 'IMAGE_GENERATED',
       promptId: promptId,
-      imageUrls: imageUrls
+      imageUrls: imageUrls,
+      mediaIds: mediaIds,
+      mediaType: mediaType
     });
-    state.currentPrompt = null;
   }
   
-  function notifyGenerationFailed(promptId, error) {
+  function notifyGenerationFailed(promptId, error, code) {
+    stopTrackingGeneration(promptId);
     chrome.runtime.sendMessage({
       type: 'GENERATION_FAILED',
       promptId: promptId,
-      error: error
+      error: error,
+      code: code || ERROR_CODES.GENERATION_ERROR
     });
-    state.currentPrompt = null;
+  }
+  
+  function showPageIndicator(text, type = 'info') {
+    const indicator = document.createElement('div');
+    indicator.className = `gfa-indicator gfa-${type}`;
+    indicator.innerHTML = '<div class="gfa-indicator-content"><span class="gfa-indicator-icon"></span><span class="gfa-indicator-text"></span></div>';
+    indicator.querySelector('.gfa-indicator-text').textContent = text;
+    document.body.appendChild(indicator);
+    
+    setTimeout(() => {
+      indicator.classList.add('gfa-fade-out');
+      setTimeout(() => indicator.remove(), 300);
+    }, 4000);
   }
   
   // ============================================
@@ -724,6 +2232,15 @@
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
+  async function waitFor(condition, timeoutMs, intervalMs = 500) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      if (condition()) return true;
+      await sleep(intervalMs);
+    }
+    return condition();
+  }
+  
   // ============================================
   // INITIALIZE
   // ============================================
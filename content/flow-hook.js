@@ -0,0 +1,259 @@
+/**
+ * Google Flow Automation Pro - Page Hook
+ * Runs in the page's main world so it can see Flow's own fetch/XHR traffic.
+ * Generation responses are parsed for result media and posted to the
+ * content script with window.postMessage.
+ */
+
+(function() {
+  'use strict';
+  
+  // Registered at document_start and also injected into tabs that were open
+  // before the extension loaded; only the first copy installs
+  if (window.__gfaFlowHook) {
+    window.__gfaFlowHook.announce();
+    return;
+  }
+  
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+  const HOOK_SOURCE = 'gfa-flow-hook';
+  const CONTENT_SOURCE = 'gfa-content';
+  
+  // Only POSTs to these endpoints create media; list and history calls are
+  // ignored so old project images never count as results
+  const GENERATION_ENDPOINT = /generat|runImage|inference/i;
+  
+  const MEDIA_URL_KEYS = ['fifeUrl', 'fifeUri', 'imageUri', 'imageUrl', 'servingUri', 'mediaUrl', 'videoUri'];
+  const GENERIC_URL_KEYS = ['uri', 'url'];
+  const ENCODED_MEDIA_KEYS = ['encodedImage', 'encodedVideo', 'bytesBase64Encoded'];
+  const MEDIA_ID_KEYS = ['mediaGenerationId', 'mediaId', 'mediaKey', 'generationId', 'id', 'name'];
+  const PROMPT_KEYS = ['prompt', 'textPrompt', 'rawPrompt'];
+  
+  const MEDIA_URL_PATTERN = /googleusercontent|storage\.googleapis|\.(png|jpe?g|webp|gif|mp4|webm)(\?|$)/i;
+  const MAX_WALK_DEPTH = 12;
+  
+  // ============================================
+  // FETCH HOOK
+  // ============================================
+  const originalFetch = window.fetch;
+  
+  window.fetch = async function(input, init) {
+    const response = await originalFetch.apply(this, arguments);
+    
+    try {
+      const request = describeFetch(input, init);
+      if (isGenerationRequest(request)) {
+        readFetchRequestBody(input, init)
+          .then(body => {
+            return response.clone().text().then(text => {
+              reportResponse(request.url, body, text);
+            });
+          })
+          .catch(error => console.warn('🪝 Could not read Flow response:', error));
+      }
+    } catch (error) {
+      console.warn('🪝 Fetch hook error:', error);
+    }
+    
+    return response;
+  };
+  
+  function describeFetch(input, init) {
+    const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+    const method = (init && init.method) || (input && input.method) || 'GET';
+    return { url, method: method.toUpperCase() };
+  }
+  
+  async function readFetchRequestBody(input, init) {
+    if (init && typeof init.body === 'string') return init.body;
+    if (input instanceof Request) {
+      try {
+        return await input.clone().text();
+      } catch (e) {
+        return '';
+      }
+    }
+    return '';
+  }
+  
+  // ============================================
+  // XHR HOOK
+  // ============================================
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  
+  XMLHttpRequest.prototype.open = function(method, url) {
+    this.__gfaRequest = { method: String(method).toUpperCase(), url: String(url) };
+    return originalOpen.apply(this, arguments);
+  };
+  
+  XMLHttpRequest.prototype.send = function(body) {
+    const request = this.__gfaRequest;
+    
+    if (request && isGenerationRequest(request)) {
+      this.addEventListener('load', () => {
+        try {
+          reportResponse(request.url, typeof body === 'string' ? body : '', readXhrResponse(this));
+        } catch (error) {
+          console.warn('🪝 Could not read Flow response:', error);
+        }
+      });
+    }
+    
+    return originalSend.apply(this, arguments);
+  };
+  
+  function readXhrResponse(xhr) {
+    if (xhr.responseType === '' || xhr.responseType === 'text') {
+      return xhr.responseText;
+    }
+    if (xhr.responseType === 'json') {
+      return xhr.response;
+    }
+    return null;
+  }
+  
+  // ============================================
+  // RESPONSE PARSING
+  // ============================================
+  function isGenerationRequest(request) {
+    return request.method === 'POST' && GENERATION_ENDPOINT.test(request.url);
+  }
+  
+  function reportResponse(url, requestBody, responseBody) {
+    const data = typeof responseBody === 'string' ? parseJson(responseBody) : responseBody;
+    if (!data) return;
+    
+    const media = extractMedia(data);
+    if (media.length === 0) return;
+    
+    const requestData = parseJson(requestBody);
+    const prompts = requestData ? extractPrompts(requestData) : [];
+    
+    post({
+      type: 'GENERATION_RESULT',
+      url: url,
+      prompts: prompts,
+      media: media
+    });
+  }
+  
+  function parseJson(text) {
+    if (!text) return null;
+    try {
+      // Google APIs sometimes prefix JSON with an XSSI guard
+      return JSON.parse(text.replace(/^\)\]\}'\s*/, ''));
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  function extractMedia(data) {
+    const media = [];
+    const seen = new Set();
+    
+    walk(data, null, 0, (node, prompt) => {
+      const url = getMediaUrl(node);
+      if (!url || seen.has(url)) return;
+      
+      seen.add(url);
+      media.push({
+        id: getFirstString(node, MEDIA_ID_KEYS) || null,
+        url: url,
+        mediaType: guessMediaType(node, url),
+        prompt: prompt
+      });
+    });
+    
+    return media;
+  }
+  
+  function extractPrompts(data) {
+    const prompts = new Set();
+    walk(data, null, 0, (node, prompt) => {
+      if (prompt) prompts.add(prompt);
+    });
+    return [...prompts];
+  }
+  
+  function walk(value, prompt, depth, visit) {
+    if (!value || typeof value !== 'object' || depth > MAX_WALK_DEPTH) return;
+    
+    if (Array.isArray(value)) {
+      value.forEach(item => walk(item, prompt, depth + 1, visit));
+      return;
+    }
+    
+    // Results inherit the prompt of the nearest object that names one
+    const ownPrompt = getFirstString(value, PROMPT_KEYS) || prompt;
+    visit(value, ownPrompt);
+    
+    Object.keys(value).forEach(key => walk(value[key], ownPrompt, depth + 1, visit));
+  }
+  
+  function getMediaUrl(node) {
+    for (const key of MEDIA_URL_KEYS) {
+      if (typeof node[key] === 'string' && /^https?:/.test(node[key])) return node[key];
+    }
+    
+    for (const key of GENERIC_URL_KEYS) {
+      if (typeof node[key] === 'string' && /^https?:/.test(node[key]) && MEDIA_URL_PATTERN.test(node[key])) {
+        return node[key];
+      }
+    }
+    
+    for (const key of ENCODED_MEDIA_KEYS) {
+      if (typeof node[key] === 'string' && node[key].length > 100) {
+        return `data:${guessMimeType(node[key], key)};base64,${node[key]}`;
+      }
+    }
+    
+    return null;
+  }
+  
+  function guessMediaType(node, url) {
+    // null when the response does not say; the content script then accepts
+    // the item for either kind of generation
+    if (node.videoUri || node.encodedVideo || /^data:video|\.(mp4|webm)(\?|$)/i.test(url)) return 'video';
+    if (node.imageUri || node.imageUrl || node.encodedImage || /^data:image|\.(png|jpe?g|webp|gif)(\?|$)/i.test(url)) return 'image';
+    return null;
+  }
+  
+  function guessMimeType(base64, key) {
+    if (base64.startsWith('/9j/')) return 'image/jpeg';
+    if (base64.startsWith('iVBOR')) return 'image/png';
+    if (base64.startsWith('UklGR')) return 'image/webp';
+    if (base64.startsWith('R0lGOD')) return 'image/gif';
+    return key === 'encodedVideo' ? 'video/mp4' : 'image/png';
+  }
+  
+  function getFirstString(node, keys) {
+    for (const key of keys) {
+      if (typeof node[key] === 'string' && node[key].trim()) return node[key];
+    }
+    return null;
+  }
+  
+  // ============================================
+  // MESSAGING
+  // ============================================
+  function post(message) {
+    window.postMessage({ source: HOOK_SOURCE, ...message }, window.location.origin);
+  }
+  
+  function announce() {
+    post({ type: 'HOOK_READY' });
+  }
+  
+  // The content script may load after the hook and asks whether it is there
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== CONTENT_SOURCE) return;
+    if (event.data.type === 'HOOK_PING') announce();
+  });
+  
+  window.__gfaFlowHook = { announce };
+  announce();
+  
+})();
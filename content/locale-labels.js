@@ -0,0 +1,48 @@
+/**
+ * Google Flow Automation Pro - Locale Labels
+ * Words Flow's buttons use in each UI language, loaded before content.js.
+ * Labels are only one signal; icon ligatures and page structure are
+ * checked first and do not depend on the language. All locales are matched
+ * at once, so a page in any of them works without detecting its language.
+ */
+
+globalThis.GFA_LOCALE_LABELS = {
+  // The button that sends the prompt
+  send: {
+    en: ['send', 'submit', 'generate', 'create'],
+    de: ['senden', 'absenden', 'generieren', 'erstellen', 'erzeugen'],
+    fr: ['envoyer', 'soumettre', 'générer', 'créer'],
+    es: ['enviar', 'generar', 'crear'],
+    pt: ['enviar', 'gerar', 'criar'],
+    it: ['invia', 'genera', 'crea'],
+    ja: ['送信', '生成', '作成'],
+    ko: ['보내기', '전송', '생성', '만들기'],
+    zh: ['发送', '提交', '生成', '创建']
+  },
+  
+  // Buttons next to the prompt box that must never be taken for send
+  dismiss: {
+    en: ['cancel', 'clear', 'close', 'delete', 'remove', 'stop'],
+    de: ['abbrechen', 'löschen', 'schließen', 'entfernen', 'leeren', 'stoppen'],
+    fr: ['annuler', 'effacer', 'fermer', 'supprimer', 'retirer'],
+    es: ['cancelar', 'borrar', 'cerrar', 'eliminar', 'quitar'],
+    pt: ['cancelar', 'limpar', 'fechar', 'excluir', 'remover'],
+    it: ['annulla', 'cancella', 'chiudi', 'elimina', 'rimuovi'],
+    ja: ['キャンセル', 'クリア', '閉じる', '削除', '消去', '停止'],
+    ko: ['취소', '지우기', '닫기', '삭제', '중지'],
+    zh: ['取消', '清除', '关闭', '删除', '停止']
+  },
+  
+  // The sign-in link Flow shows when nobody is logged in
+  signIn: {
+    en: ['sign in', 'log in', 'login'],
+    de: ['anmelden'],
+    fr: ['se connecter', 'connexion'],
+    es: ['iniciar sesión', 'acceder'],
+    pt: ['fazer login', 'entrar'],
+    it: ['accedi'],
+    ja: ['ログイン'],
+    ko: ['로그인'],
+    zh: ['登录']
+  }
+};
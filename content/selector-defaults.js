@@ -0,0 +1,164 @@
+/**
+ * Google Flow Automation Pro - Default Selectors
+ * The bundled selector profile. Loaded before content.js and by the options
+ * page; custom profiles saved from the options page replace individual
+ * lists from this one.
+ */
+
+globalThis.GFA_DEFAULT_SELECTORS = {
+  // Input field selectors - the textarea at the bottom of the page
+  promptInput: [
+    // Google Flow specific selectors
+    'textarea[class*="prompt"]',
+    'textarea[class*="input"]',
+    'div[contenteditable="true"][class*="prompt"]',
+    'div[contenteditable="true"][class*="input"]',
+    '[role="textbox"]',
+    // Generic fallbacks
+    'textarea',
+    'div[contenteditable="true"]',
+    'input[type="text"]'
+  ],
+  
+  // Generate/Send button selectors - the arrow button (→) on the right
+  generateButton: [
+    // Arrow/Send button specific selectors
+    'button[aria-label*="Send"]',
+    'button[aria-label*="send"]',
+    'button[aria-label*="Submit"]',
+    'button[aria-label*="submit"]',
+    'button[aria-label*="Generate"]',
+    'button[aria-label*="generate"]',
+    'button[aria-label*="Create"]',
+    'button[aria-label*="create"]',
+    // Material icon buttons
+    'button[class*="send"]',
+    'button[class*="submit"]',
+    'button[class*="arrow"]',
+    // Button with arrow icon (SVG or material icon)
+    'button svg[class*="arrow"]',
+    'button mat-icon',
+    'button .material-icons',
+    // Generic submit buttons near input
+    'form button[type="submit"]',
+    'button[type="submit"]',
+    // Last resort - look for buttons with arrow symbols
+    'button'
+  ],
+  
+  // Image output container selectors
+  imageContainer: [
+    '[class*="generated"]',
+    '[class*="output"]',
+    '[class*="result"]',
+    '[class*="image-grid"]',
+    '[class*="gallery"]',
+    '[class*="preview"]',
+    'main [class*="image"]'
+  ],
+  
+  // Generation card/tile that groups a prompt with its results
+  generationCard: [
+    '[class*="generation"]',
+    '[class*="card"]',
+    '[class*="tile"]',
+    '[role="listitem"]',
+    'article',
+    'li'
+  ],
+  
+  // Alerts, snackbars, toasts and error-styled card messages, where Flow
+  // shows refusals, limits and failed generations
+  errorMessage: [
+    '[role="alert"]',
+    '[aria-live="assertive"]',
+    '[class*="error"]',
+    '[class*="snackbar"]',
+    '[class*="toast"]'
+  ],
+  
+  // Individual image selectors
+  generatedImage: [
+    'img[src^="blob:"]',
+    'img[src^="data:"]',
+    'img[src*="googleusercontent"]',
+    'img[src*="generated"]',
+    'img[class*="generated"]',
+    'img[class*="output"]',
+    'img[class*="result"]',
+    '[class*="image-container"] img',
+    '[class*="output"] img',
+    '[class*="result"] img'
+  ],
+  
+  // Video results; Flow may set the src on the element or on a <source>
+  generatedVideo: [
+    'video[src]',
+    'video source[src]'
+  ],
+  
+  // The dropdown that switches Flow between its generation types
+  modeSelector: [
+    '[role="combobox"]',
+    'button[aria-haspopup="listbox"]',
+    'button[aria-haspopup="menu"]',
+    'select'
+  ],
+  
+  // Entries of the opened generation type menu
+  modeOption: [
+    '[role="option"]',
+    '[role="menuitem"]',
+    '[role="menuitemradio"]',
+    'option',
+    'li'
+  ],
+  
+  // Buttons that open Flow's image upload / ingredients control
+  referenceUpload: [
+    'button[aria-label*="ingredient" i]',
+    'button[aria-label*="upload" i]',
+    'button[aria-label*="add image" i]',
+    'button[aria-label*="add" i]'
+  ],
+  
+  // Buttons that take an attached image off the prompt again
+  referenceRemove: [
+    'button[aria-label*="remove" i]',
+    'button[aria-label*="delete" i]',
+    'button[aria-label*="clear" i]'
+  ],
+  
+  // Start/end frame slots of frames-to-video; matched by FRAME_SLOTS text
+  frameSlot: [
+    'button[aria-label*="frame" i]',
+    '[role="button"][aria-label*="frame" i]',
+    'button',
+    '[role="button"]'
+  ],
+  
+  // Button that opens Flow's generation settings panel
+  settingsButton: [
+    'button[aria-label*="settings" i]',
+    'button[aria-label*="tune" i]',
+    'button[aria-label*="options" i]'
+  ],
+  
+  // Confirm button of the crop dialog Flow shows after a frame upload
+  frameConfirm: [
+    '[role="dialog"] button',
+    '[class*="dialog"] button',
+    '[class*="modal"] button'
+  ],
+  
+  // Spinners and progress bars Flow shows while a generation runs; one
+  // appearing after the send click confirms the prompt was accepted
+  progressIndicator: [
+    '[role="progressbar"]',
+    'mat-progress-spinner',
+    'mat-spinner',
+    '[class*="spinner"]',
+    '[class*="progress"]',
+    '[class*="loading"]'
+  ]
+};
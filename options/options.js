@@ -0,0 +1,456 @@
+/**
+ * Google Flow Automation Pro - Options Page
+ * Edits, tests, imports and exports selector profiles. Profiles live in
+ * chrome.storage.local under 'selectorProfiles'; the content script
+ * listens for changes and switches over without a page reload. Elements
+ * chosen with the in-page picker are kept apart from the lists, under
+ * `picked`, because the content script tries them first.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+const SELECTOR_PROFILES_KEY = 'selectorProfiles';
+const DEFAULT_PROFILE = '';
+const EXPORT_FORMAT = 'gfa-selector-profile';
+
+const DEFAULT_SELECTORS = globalThis.GFA_DEFAULT_SELECTORS;
+
+// What each list is used for, shown above its editor
+const SELECTOR_DESCRIPTIONS = {
+  promptInput: 'The prompt text box',
+  generateButton: 'The send / generate button next to the prompt box',
+  imageContainer: 'Areas that hold generated results',
+  generationCard: 'The card that groups one prompt with its results',
+  errorMessage: 'Banners and messages Flow uses for errors',
+  generatedImage: 'Result images',
+  generatedVideo: 'Result videos',
+  modeSelector: 'Dropdowns: generation type and the settings panel fields',
+  modeOption: 'Entries of an opened dropdown',
+  referenceUpload: 'Button that opens the image upload / ingredients control',
+  referenceRemove: 'Button that removes an attached image',
+  frameSlot: 'Start and end frame slots (frames-to-video)',
+  settingsButton: 'Button that opens the generation settings panel',
+  frameConfirm: 'Buttons of the crop dialog after a frame upload',
+  progressIndicator: 'Spinners and progress bars of a running generation'
+};
+
+// ============================================
+// STATE
+// ============================================
+let store = { activeProfile: DEFAULT_PROFILE, profiles: {} };
+let selectedProfile = DEFAULT_PROFILE;
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const elements = {
+  profileSelect: document.getElementById('profileSelect'),
+  activeBadge: document.getElementById('activeBadge'),
+  activateBtn: document.getElementById('activateBtn'),
+  newProfileBtn: document.getElementById('newProfileBtn'),
+  deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+  importBtn: document.getElementById('importBtn'),
+  exportBtn: document.getElementById('exportBtn'),
+  importInput: document.getElementById('importInput'),
+  readonlyNote: document.getElementById('readonlyNote'),
+  selectorList: document.getElementById('selectorList'),
+  testBtn: document.getElementById('testBtn'),
+  pickBtn: document.getElementById('pickBtn'),
+  saveBtn: document.getElementById('saveBtn'),
+  toast: document.getElementById('toast')
+};
+
+// ============================================
+// INITIALIZATION
+// ============================================
+document.addEventListener('DOMContentLoaded', initialize);
+
+async function initialize() {
+  await loadStore();
+  selectedProfile = store.activeProfile;
+  setupEventListeners();
+  render();
+  
+  // Another options tab or the picker may change profiles under us
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[SELECTOR_PROFILES_KEY]) return;
+    store = normalizeStore(changes[SELECTOR_PROFILES_KEY].newValue);
+    if (!isDefault(selectedProfile) && !store.profiles[selectedProfile]) {
+      selectedProfile = store.activeProfile;
+    }
+    render();
+  });
+}
+
+function setupEventListeners() {
+  elements.profileSelect.addEventListener('change', () => {
+    selectedProfile = elements.profileSelect.value;
+    render();
+  });
+  elements.activateBtn.addEventListener('click', activateProfile);
+  elements.newProfileBtn.addEventListener('click', createProfile);
+  elements.deleteProfileBtn.addEventListener('click', deleteProfile);
+  elements.importBtn.addEventListener('click', () => elements.importInput.click());
+  elements.importInput.addEventListener('change', importProfiles);
+  elements.exportBtn.addEventListener('click', exportProfile);
+  elements.saveBtn.addEventListener('click', saveProfile);
+  elements.testBtn.addEventListener('click', testProfile);
+  elements.pickBtn.addEventListener('click', startPicker);
+  elements.selectorList.addEventListener('click', (e) => {
+    const forget = e.target.closest('[data-forget]');
+    if (forget) {
+      forgetPicked(forget.dataset.forget);
+      return;
+    }
+    
+    const button = e.target.closest('[data-reset]');
+    if (!button) return;
+    
+    const key = button.dataset.reset;
+    getEditor(key).value = DEFAULT_SELECTORS[key].join('\n');
+    markCustomized(key);
+  });
+  elements.selectorList.addEventListener('input', (e) => {
+    if (e.target.dataset.key) markCustomized(e.target.dataset.key);
+  });
+}
+
+// ============================================
+// STORAGE
+// ============================================
+async function loadStore() {
+  const result = await chrome.storage.local.get(SELECTOR_PROFILES_KEY);
+  store = normalizeStore(result[SELECTOR_PROFILES_KEY]);
+}
+
+async function saveStore() {
+  await chrome.storage.local.set({ [SELECTOR_PROFILES_KEY]: store });
+}
+
+function normalizeStore(value) {
+  const profiles = (value && value.profiles) || {};
+  const activeProfile = value && profiles[value.activeProfile] ? value.activeProfile : DEFAULT_PROFILE;
+  return { activeProfile, profiles };
+}
+
+function isDefault(name) {
+  return name === DEFAULT_PROFILE;
+}
+
+function getProfileSelectors(name) {
+  const custom = isDefault(name) ? {} : store.profiles[name].selectors || {};
+  return { ...DEFAULT_SELECTORS, ...custom };
+}
+
+function getProfilePicked(name) {
+  return isDefault(name) ? {} : store.profiles[name].picked || {};
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function render() {
+  const names = Object.keys(store.profiles).sort((a, b) => a.localeCompare(b));
+  const label = name => (isDefault(name) ? 'Default (bundled)' : name) +
+    (name === store.activeProfile ? ' ✓' : '');
+  
+  elements.profileSelect.innerHTML = '';
+  [DEFAULT_PROFILE, ...names].forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = label(name);
+    elements.profileSelect.appendChild(option);
+  });
+  elements.profileSelect.value = selectedProfile;
+  
+  const readonly = isDefault(selectedProfile);
+  elements.activeBadge.style.display = selectedProfile === store.activeProfile ? 'inline' : 'none';
+  elements.activateBtn.disabled = selectedProfile === store.activeProfile;
+  elements.deleteProfileBtn.disabled = readonly;
+  elements.saveBtn.disabled = readonly;
+  elements.readonlyNote.style.display = readonly ? 'block' : 'none';
+  
+  renderSelectorList(getProfileSelectors(selectedProfile), getProfilePicked(selectedProfile), readonly);
+}
+
+function renderSelectorList(selectors, picked, readonly) {
+  elements.selectorList.innerHTML = '';
+  
+  Object.keys(DEFAULT_SELECTORS).forEach(key => {
+    const card = document.createElement('div');
+    card.className = 'selector-card';
+    card.dataset.key = key;
+    
+    const header = document.createElement('div');
+    header.className = 'selector-card-header';
+    header.innerHTML = `<h3>${key}</h3>`;
+    if (!readonly) {
+      header.insertAdjacentHTML('beforeend', `<button class="reset-link" data-reset="${key}">Reset to default</button>`);
+    }
+    
+    const description = document.createElement('p');
+    description.textContent = SELECTOR_DESCRIPTIONS[key] || '';
+    
+    const editor = document.createElement('textarea');
+    editor.dataset.key = key;
+    editor.spellcheck = false;
+    editor.disabled = readonly;
+    editor.value = (selectors[key] || []).join('\n');
+    
+    const result = document.createElement('div');
+    result.className = 'test-result';
+    
+    card.append(header, description);
+    if (picked[key]) {
+      const pick = document.createElement('div');
+      pick.className = 'picked-selector';
+      pick.innerHTML = `<span>Picked, tried first:</span> <code></code> <button class="reset-link" data-forget="${key}">Forget</button>`;
+      pick.querySelector('code').textContent = picked[key];
+      card.appendChild(pick);
+    }
+    card.append(editor, result);
+    elements.selectorList.appendChild(card);
+    markCustomized(key);
+  });
+}
+
+function getEditor(key) {
+  return elements.selectorList.querySelector(`textarea[data-key="${key}"]`);
+}
+
+function readEditorList(key) {
+  return getEditor(key).value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
+function markCustomized(key) {
+  const card = getEditor(key).closest('.selector-card');
+  const list = readEditorList(key);
+  card.classList.toggle('customized', list.join('\n') !== DEFAULT_SELECTORS[key].join('\n'));
+}
+
+// ============================================
+// PROFILE ACTIONS
+// ============================================
+async function saveProfile() {
+  if (isDefault(selectedProfile)) return;
+  
+  // Only lists that differ from the defaults are stored, so later default
+  // updates still reach the lists nobody customized
+  const selectors = {};
+  const invalid = [];
+  
+  Object.keys(DEFAULT_SELECTORS).forEach(key => {
+    const list = readEditorList(key);
+    list.forEach(selector => {
+      if (!isValidSelector(selector)) invalid.push(selector);
+    });
+    if (list.length > 0 && list.join('\n') !== DEFAULT_SELECTORS[key].join('\n')) {
+      selectors[key] = list;
+    }
+  });
+  
+  if (invalid.length > 0) {
+    showToast(`Invalid selector: ${invalid[0]}`, 'error');
+    return;
+  }
+  
+  store.profiles[selectedProfile] = { ...store.profiles[selectedProfile], selectors, updatedAt: Date.now() };
+  await saveStore();
+  showToast(`Saved "${selectedProfile}"`, 'success');
+}
+
+async function activateProfile() {
+  store.activeProfile = selectedProfile;
+  await saveStore();
+  render();
+  showToast(`Flow tabs now use ${isDefault(selectedProfile) ? 'the default profile' : `"${selectedProfile}"`}`, 'success');
+}
+
+async function createProfile() {
+  const name = prompt('Name for the new profile:', uniqueName(isDefault(selectedProfile) ? 'Custom' : selectedProfile));
+  if (!name || !name.trim()) return;
+  
+  const profileName = uniqueName(name.trim());
+  const base = getProfileSelectors(selectedProfile);
+  const selectors = {};
+  Object.keys(DEFAULT_SELECTORS).forEach(key => {
+    if (base[key].join('\n') !== DEFAULT_SELECTORS[key].join('\n')) selectors[key] = base[key];
+  });
+  
+  store.profiles[profileName] = { selectors, picked: { ...getProfilePicked(selectedProfile) }, updatedAt: Date.now() };
+  selectedProfile = profileName;
+  await saveStore();
+  render();
+}
+
+async function deleteProfile() {
+  if (isDefault(selectedProfile)) return;
+  if (!confirm(`Delete the profile "${selectedProfile}"?`)) return;
+  
+  delete store.profiles[selectedProfile];
+  if (store.activeProfile === selectedProfile) {
+    store.activeProfile = DEFAULT_PROFILE;
+  }
+  selectedProfile = store.activeProfile;
+  await saveStore();
+  render();
+}
+
+async function forgetPicked(key) {
+  const profile = store.profiles[selectedProfile];
+  if (!profile || !profile.picked) return;
+  
+  delete profile.picked[key];
+  profile.updatedAt = Date.now();
+  await saveStore();
+  render();
+}
+
+async function startPicker() {
+  const response = await chrome.runtime.sendMessage({ type: 'START_PICKER' });
+  if (!response || !response.success) {
+    showToast('Open Google Flow in a tab first', 'warning');
+  }
+}
+
+function uniqueName(name) {
+  if (!store.profiles[name] && !isDefault(name)) return name;
+  
+  let counter = 2;
+  while (store.profiles[`${name} (${counter})`]) counter++;
+  return `${name} (${counter})`;
+}
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+function exportProfile() {
+  const data = {
+    format: EXPORT_FORMAT,
+    version: 1,
+    name: isDefault(selectedProfile) ? 'Default' : selectedProfile,
+    selectors: getProfileSelectors(selectedProfile),
+    picked: getProfilePicked(selectedProfile)
+  };
+  
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `flow-selectors-${data.name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase()}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+async function importProfiles(e) {
+  const file = e.target.files[0];
+  e.target.value = ''; // Reset input
+  if (!file) return;
+  
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showToast('Not a JSON file', 'error');
+    return;
+  }
+  
+  // One exported profile, or a list of them
+  const entries = (Array.isArray(data) ? data : [data])
+    .filter(entry => entry && entry.format === EXPORT_FORMAT && entry.selectors);
+  
+  if (entries.length === 0) {
+    showToast('No selector profiles found in this file', 'error');
+    return;
+  }
+  
+  let lastName = null;
+  entries.forEach(entry => {
+    const selectors = {};
+    Object.keys(DEFAULT_SELECTORS).forEach(key => {
+      const list = entry.selectors[key];
+      if (!Array.isArray(list)) return;
+      
+      const cleaned = list.map(String).filter(isValidSelector);
+      if (cleaned.length > 0 && cleaned.join('\n') !== DEFAULT_SELECTORS[key].join('\n')) {
+        selectors[key] = cleaned;
+      }
+    });
+    
+    const picked = {};
+    Object.entries(entry.picked || {}).forEach(([key, selector]) => {
+      if (DEFAULT_SELECTORS[key] && typeof selector === 'string' && isValidSelector(selector)) {
+        picked[key] = selector;
+      }
+    });
+    
+    lastName = uniqueName(String(entry.name || 'Imported'));
+    store.profiles[lastName] = { selectors, picked, updatedAt: Date.now() };
+  });
+  
+  selectedProfile = lastName;
+  await saveStore();
+  render();
+  showToast(`Imported ${entries.length} profile(s)`, 'success');
+}
+
+// ============================================
+// TESTING
+// ============================================
+async function testProfile() {
+  const tabs = await chrome.tabs.query({ url: 'https://labs.google/fx/tools/flow*' });
+  if (tabs.length === 0) {
+    showToast('Open Google Flow in a tab first', 'warning');
+    return;
+  }
+  
+  // The unsaved lists in the editors are what gets tested
+  const selectors = {};
+  Object.keys(DEFAULT_SELECTORS).forEach(key => {
+    selectors[key] = readEditorList(key);
+  });
+  
+  const tab = tabs.find(t => t.active) || tabs[0];
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tab.id, { type: 'TEST_SELECTORS', selectors });
+  } catch (error) {
+    showToast('Could not reach the Flow tab; reload it and try again', 'error');
+    return;
+  }
+  
+  Object.entries(response.results || {}).forEach(([key, result]) => {
+    const element = getEditor(key).closest('.selector-card').querySelector('.test-result');
+    const invalid = result.invalid.length > 0 ? ` · ${result.invalid.length} invalid` : '';
+    element.textContent = `${result.visible} visible / ${result.matches} matched${invalid}`;
+    element.className = `test-result ${result.visible > 0 && result.invalid.length === 0 ? 'ok' : 'missing'}`;
+  });
+  
+  showToast(`Tested against ${tab.title || 'the Flow tab'}`, 'success');
+}
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// ============================================
+// UTILITIES
+// ============================================
+function showToast(message, type = 'info') {
+  const toast = elements.toast;
+  toast.className = `toast ${type}`;
+  toast.querySelector('.toast-message').textContent = message;
+  toast.classList.add('show');
+  
+  setTimeout(() => {
+    toast.classList.remove('show');
+  }, 3000);
+}
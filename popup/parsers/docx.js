@@ -0,0 +1,175 @@
+/**
+ * Google Flow Automation Pro - DOCX Reader
+ * Unzips a Word document and walks word/document.xml block by block.
+ * Every paragraph becomes one entry, list items included; deeper list
+ * levels are folded into the item above them, and every table row
+ * becomes one entry of its own.
+ */
+
+import { openZip } from './zip.js';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const DOCUMENT_PART = 'word/document.xml';
+
+// Cells holding nothing but a number are row or scene counters
+const NUMBER_ONLY = /^\d+[.)]?$/;
+
+/**
+ * Read the paragraphs of a .docx file in document order.
+ * Resolves with their texts, whitespace collapsed and empty ones dropped.
+ */
+export async function extractDocxParagraphs(arrayBuffer) {
+  const zip = openZip(arrayBuffer);
+  if (!zip.has(DOCUMENT_PART)) {
+    throw new Error('Not a Word document');
+  }
+  
+  const xml = await zip.readText(DOCUMENT_PART);
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const body = doc.getElementsByTagNameNS(W_NS, 'body')[0];
+  if (!body || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Could not read the document text');
+  }
+  
+  const blocks = [];
+  readBlocks(body, blocks);
+  return blocks.map(block => block.text).filter(text => text.length > 0);
+}
+
+// ============================================
+// BLOCKS
+// ============================================
+function readBlocks(container, blocks) {
+  for (const node of container.children) {
+    if (node.namespaceURI !== W_NS) continue;
+    
+    switch (node.localName) {
+      case 'p':
+        addParagraph(node, blocks);
+        break;
+      case 'tbl':
+        readTable(node, blocks);
+        break;
+      case 'sdt': {
+        // Content controls wrap ordinary paragraphs and tables
+        const content = getChild(node, 'sdtContent');
+        if (content) readBlocks(content, blocks);
+        break;
+      }
+      case 'customXml':
+        readBlocks(node, blocks);
+        break;
+    }
+  }
+}
+
+function addParagraph(paragraph, blocks) {
+  const text = readParagraphText(paragraph);
+  if (!text) return;
+  
+  const listLevel = getListLevel(paragraph);
+  
+  // A nested list item describes the item above it, so both make one entry
+  if (listLevel !== null && listLevel > 0) {
+    const parent = [...blocks].reverse().find(block => block.listLevel !== null);
+    if (parent && parent.listLevel < listLevel) {
+      parent.text = `${parent.text} ${text}`;
+      return;
+    }
+  }
+  
+  blocks.push({ text, listLevel });
+}
+
+function getListLevel(paragraph) {
+  const properties = getChild(paragraph, 'pPr');
+  const numbering = properties && getChild(properties, 'numPr');
+  if (!numbering) return null;
+  
+  // numId 0 switches numbering off for this paragraph
+  const numId = getChild(numbering, 'numId');
+  if (numId && getVal(numId) === '0') return null;
+  
+  const level = getChild(numbering, 'ilvl');
+  return level ? Number(getVal(level)) || 0 : 0;
+}
+
+// ============================================
+// TABLES
+// ============================================
+function readTable(table, blocks) {
+  for (const row of table.children) {
+    if (row.namespaceURI !== W_NS || row.localName !== 'tr') continue;
+    
+    // Rows repeated as the table header are column titles, not prompts
+    const rowProperties = getChild(row, 'trPr');
+    if (rowProperties && getChild(rowProperties, 'tblHeader')) continue;
+    
+    const cells = [];
+    for (const cell of row.children) {
+      if (cell.namespaceURI !== W_NS || cell.localName !== 'tc') continue;
+      
+      const cellBlocks = [];
+      readBlocks(cell, cellBlocks);
+      const text = cellBlocks.map(block => block.text).join(' ').trim();
+      if (text && !NUMBER_ONLY.test(text)) cells.push(text);
+    }
+    
+    if (cells.length > 0) {
+      blocks.push({ text: cells.join(' '), listLevel: null });
+    }
+  }
+}
+
+// ============================================
+// TEXT
+// ============================================
+function readParagraphText(paragraph) {
+  const parts = [];
+  collectText(paragraph, parts);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+function collectText(node, parts) {
+  for (const child of node.children) {
+    if (child.namespaceURI !== W_NS) {
+      // Drawings carry a fallback copy of their content; read it once
+      if (child.localName !== 'Fallback') collectText(child, parts);
+      continue;
+    }
+    
+    switch (child.localName) {
+      case 't':
+        parts.push(child.textContent);
+        break;
+      case 'tab':
+      case 'br':
+      case 'cr':
+        parts.push(' ');
+        break;
+      case 'noBreakHyphen':
+        parts.push('-');
+        break;
+      case 'p':
+      case 'txbxContent':
+      case 'del':
+      case 'instrText':
+        // Text boxes, deleted revisions and field codes are not the
+        // paragraph's own text
+        break;
+      default:
+        collectText(child, parts);
+    }
+  }
+}
+
+function getChild(node, localName) {
+  for (const child of node.children) {
+    if (child.namespaceURI === W_NS && child.localName === localName) return child;
+  }
+  return null;
+}
+
+function getVal(node) {
+  return node.getAttributeNS(W_NS, 'val') || node.getAttribute('w:val');
+}
@@ -0,0 +1,15 @@
+/**
+ * Google Flow Automation Pro - Inflate
+ * Decompresses deflate data with the browser's DecompressionStream, so the
+ * file readers need no bundled zip library.
+ */
+
+/**
+ * Inflate a byte array.
+ * format is 'deflate-raw' for zip entries and 'deflate' for zlib-wrapped
+ * data such as PDF streams.
+ */
+export async function inflate(bytes, format = 'deflate') {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,258 @@
+/**
+ * Google Flow Automation Pro - PDF Fonts
+ * Turns the bytes of a PDF text string into characters and glyph widths.
+ * The font's ToUnicode map is preferred; simple fonts without one fall
+ * back to their encoding and /Differences glyph names.
+ */
+
+import { createCursor, readValue } from './pdf-objects.js';
+
+const DEFAULT_WIDTH = 500;
+
+// Glyph names seen in /Differences that are not a single letter or digit
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘',
+  parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+  period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  underscore: '_', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  zero: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  quotedblleft: '“', quotedblright: '”', endash: '–', emdash: '—',
+  bullet: '•', ellipsis: '…', minus: '−', degree: '°',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+  aacute: 'á', agrave: 'à', acircumflex: 'â', adieresis: 'ä',
+  ccedilla: 'ç', eacute: 'é', egrave: 'è', ecircumflex: 'ê',
+  iacute: 'í', idieresis: 'ï', ntilde: 'ñ', oacute: 'ó',
+  odieresis: 'ö', uacute: 'ú', udieresis: 'ü', germandbls: 'ß',
+  Adieresis: 'Ä', Eacute: 'É', Odieresis: 'Ö', Udieresis: 'Ü'
+};
+
+const ENCODING_TABLES = {
+  WinAnsiEncoding: buildEncodingTable('windows-1252'),
+  MacRomanEncoding: buildEncodingTable('macintosh')
+};
+
+function buildEncodingTable(label) {
+  const bytes = new Uint8Array(256).map((_, i) => i);
+  const table = [...new TextDecoder(label).decode(bytes)];
+  // Control codes never stand for text
+  for (let i = 0; i < 32; i++) table[i] = '';
+  return table;
+}
+
+/**
+ * Build a decoder for a font dictionary.
+ * Returns { decode(bytes) } yielding { text, width, isSpace } per code,
+ * with width in text space units (1/1000 of the font size already applied).
+ */
+export async function loadFont(pdf, fontDict) {
+  const font = pdf.resolve(fontDict) || {};
+  const subtype = font.Subtype ? font.Subtype.name : '';
+  const toUnicode = await readToUnicode(pdf, font.ToUnicode);
+  
+  if (subtype === 'Type0') {
+    return createCompositeFont(pdf, font, toUnicode);
+  }
+  return createSimpleFont(pdf, font, subtype, toUnicode);
+}
+
+function createCompositeFont(pdf, font, toUnicode) {
+  const descendants = pdf.resolve(font.DescendantFonts);
+  const cidFont = pdf.resolve(Array.isArray(descendants) ? descendants[0] : descendants) || {};
+  const defaultWidth = typeof cidFont.DW === 'number' ? cidFont.DW : 1000;
+  const widths = readCidWidths(pdf, pdf.resolve(cidFont.W));
+  const codeLength = toUnicode ? toUnicode.codeLength : 2;
+  
+  return {
+    decode(bytes) {
+      const glyphs = [];
+      for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+        let code = 0;
+        for (let j = 0; j < codeLength; j++) code = code * 256 + bytes.charCodeAt(i + j);
+        const width = widths.has(code) ? widths.get(code) : defaultWidth;
+        const text = toUnicode ? (toUnicode.map.get(code) || '') : '';
+        glyphs.push({ text, width: width / 1000, isSpace: false });
+      }
+      return glyphs;
+    }
+  };
+}
+
+function readCidWidths(pdf, array) {
+  // Either "first [w1 w2 ...]" or "first last w"
+  const widths = new Map();
+  if (!Array.isArray(array)) return widths;
+  
+  for (let i = 0; i < array.length;) {
+    const first = pdf.resolve(array[i]);
+    const next = pdf.resolve(array[i + 1]);
+    if (Array.isArray(next)) {
+      next.forEach((width, offset) => widths.set(first + offset, pdf.resolve(width)));
+      i += 2;
+    } else {
+      const width = pdf.resolve(array[i + 2]);
+      for (let code = first; code <= next && code - first < 0x10000; code++) widths.set(code, width);
+      i += 3;
+    }
+  }
+  return widths;
+}
+
+function createSimpleFont(pdf, font, subtype, toUnicode) {
+  const firstChar = font.FirstChar || 0;
+  const widths = pdf.resolve(font.Widths) || [];
+  const table = readEncoding(pdf, font.Encoding);
+  
+  // Type 3 glyphs are measured in their own glyph space
+  const matrix = pdf.resolve(font.FontMatrix);
+  const scale = subtype === 'Type3' && Array.isArray(matrix) ? matrix[0] : 0.001;
+  const missingWidth = subtype === 'Type3' ? 0 : DEFAULT_WIDTH;
+  
+  return {
+    decode(bytes) {
+      const glyphs = [];
+      for (let i = 0; i < bytes.length; i++) {
+        const code = bytes.charCodeAt(i);
+        const width = pdf.resolve(widths[code - firstChar]);
+        const text = toUnicode && toUnicode.map.has(code) ? toUnicode.map.get(code) : table[code];
+        glyphs.push({
+          text: text || '',
+          width: (typeof width === 'number' ? width : missingWidth) * scale,
+          isSpace: code === 32
+        });
+      }
+      return glyphs;
+    }
+  };
+}
+
+function readEncoding(pdf, value) {
+  const encoding = pdf.resolve(value);
+  if (!encoding) return ENCODING_TABLES.WinAnsiEncoding;
+  if (encoding.name) return ENCODING_TABLES[encoding.name] || ENCODING_TABLES.WinAnsiEncoding;
+  
+  const base = pdf.resolve(encoding.BaseEncoding);
+  const table = [...((base && ENCODING_TABLES[base.name]) || ENCODING_TABLES.WinAnsiEncoding)];
+  const differences = pdf.resolve(encoding.Differences) || [];
+  
+  let code = 0;
+  for (const item of differences) {
+    if (typeof item === 'number') {
+      code = item;
+    } else if (item && item.name !== undefined) {
+      table[code++] = glyphNameToText(item.name);
+    }
+  }
+  return table;
+}
+
+function glyphNameToText(name) {
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  
+  const unicode = name.match(/^uni([0-9A-Fa-f]{4,})$/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (unicode) {
+    // uniXXXXYYYY names a ligature of several code points
+    const hex = unicode[0].startsWith('uni') ? unicode[1].match(/.{4}/g) : [unicode[1]];
+    return hex.map(part => String.fromCodePoint(parseInt(part, 16))).join('');
+  }
+  
+  // Suffixed variants such as "a.sc" or "f_i"
+  const base = name.split('.')[0];
+  if (base !== name) return glyphNameToText(base);
+  if (name.includes('_')) return name.split('_').map(glyphNameToText).join('');
+  return '';
+}
+
+// ============================================
+// TOUNICODE CMAPS
+// ============================================
+async function readToUnicode(pdf, value) {
+  const stream = pdf.resolve(value);
+  if (!stream || !stream.data) return null;
+  
+  let text;
+  try {
+    text = await pdf.getStreamText(stream);
+  } catch (error) {
+    return null;
+  }
+  
+  const map = new Map();
+  const cursor = createCursor(text);
+  const operands = [];
+  let codeLength = 0;
+  
+  for (;;) {
+    const value = readValue(cursor);
+    if (value === undefined) {
+      if (cursor.pos >= text.length) break;
+      cursor.pos++; // Stray delimiter such as "{"
+      continue;
+    }
+    if (!value || value.op === undefined) {
+      operands.push(value);
+      continue;
+    }
+    
+    switch (value.op) {
+      case 'endcodespacerange':
+        if (!codeLength && operands[0] && operands[0].string !== undefined) {
+          codeLength = operands[0].string.length;
+        }
+        break;
+      case 'endbfchar':
+        for (let i = 0; i + 1 < operands.length; i += 2) {
+          map.set(codeOf(operands[i]), utf16ToText(operands[i + 1]));
+        }
+        break;
+      case 'endbfrange':
+        for (let i = 0; i + 2 < operands.length; i += 3) {
+          addRange(map, codeOf(operands[i]), codeOf(operands[i + 1]), operands[i + 2]);
+        }
+        break;
+    }
+    operands.length = 0;
+  }
+  
+  return { map, codeLength: codeLength || 2 };
+}
+
+function addRange(map, first, last, destination) {
+  if (last - first > 0xffff) return;
+  
+  if (Array.isArray(destination)) {
+    for (let code = first; code <= last; code++) {
+      map.set(code, utf16ToText(destination[code - first]));
+    }
+    return;
+  }
+  
+  // The last code unit is incremented across the range
+  const start = utf16ToText(destination);
+  if (!start) return;
+  const prefix = start.slice(0, -1);
+  const base = start.charCodeAt(start.length - 1);
+  for (let code = first; code <= last; code++) {
+    map.set(code, prefix + String.fromCharCode(base + code - first));
+  }
+}
+
+function codeOf(value) {
+  if (!value || value.string === undefined) return -1;
+  let code = 0;
+  for (let i = 0; i < value.string.length; i++) code = code * 256 + value.string.charCodeAt(i);
+  return code;
+}
+
+function utf16ToText(value) {
+  if (!value || value.string === undefined) return '';
+  const bytes = value.string;
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    text += String.fromCharCode(bytes.charCodeAt(i) * 256 + bytes.charCodeAt(i + 1));
+  }
+  return text;
+}
@@ -0,0 +1,418 @@
+/**
+ * Google Flow Automation Pro - PDF Objects
+ * Tokenizer and object reader for PDF files. Objects are found by scanning
+ * for "n g obj" rather than trusting the xref table, which also copes with
+ * files whose offsets are off; later definitions win, as they would after
+ * an incremental update. Compressed object streams are unpacked too.
+ *
+ * Values: numbers, booleans and null as themselves, names as { name },
+ * strings as { string } holding one char per byte, arrays, dictionaries
+ * as plain objects, references as { ref }, content operators as { op }.
+ */
+
+import { inflate } from './inflate.js';
+
+// ============================================
+// LEXER
+// ============================================
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+export function createCursor(text, pos = 0) {
+  return { text, pos };
+}
+
+function isWhitespace(text, pos) {
+  return WHITESPACE.has(text.charCodeAt(pos));
+}
+
+function isRegular(text, pos) {
+  return pos < text.length && !isWhitespace(text, pos) && !DELIMITERS.has(text[pos]);
+}
+
+function skipWhitespace(cursor) {
+  const { text } = cursor;
+  while (cursor.pos < text.length) {
+    if (isWhitespace(text, cursor.pos)) {
+      cursor.pos++;
+    } else if (text[cursor.pos] === '%') {
+      while (cursor.pos < text.length && text[cursor.pos] !== '\n' && text[cursor.pos] !== '\r') cursor.pos++;
+    } else {
+      break;
+    }
+  }
+}
+
+function readRegular(cursor) {
+  const start = cursor.pos;
+  while (isRegular(cursor.text, cursor.pos)) cursor.pos++;
+  return cursor.text.slice(start, cursor.pos);
+}
+
+/**
+ * Read the next value at the cursor.
+ * Returns undefined at the end of the text or on a closing delimiter,
+ * which is left for the caller.
+ */
+export function readValue(cursor) {
+  skipWhitespace(cursor);
+  const { text } = cursor;
+  if (cursor.pos >= text.length) return undefined;
+  
+  const ch = text[cursor.pos];
+  
+  if (ch === '/') {
+    cursor.pos++;
+    return { name: readRegular(cursor).replace(/#([0-9a-fA-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))) };
+  }
+  
+  if (ch === '<' && text[cursor.pos + 1] === '<') {
+    cursor.pos += 2;
+    return readDictionary(cursor);
+  }
+  
+  if (ch === '<') {
+    cursor.pos++;
+    return { string: readHexString(cursor) };
+  }
+  
+  if (ch === '(') {
+    cursor.pos++;
+    return { string: readLiteralString(cursor) };
+  }
+  
+  if (ch === '[') {
+    cursor.pos++;
+    const items = [];
+    for (;;) {
+      skipWhitespace(cursor);
+      if (cursor.pos >= text.length) return items;
+      if (text[cursor.pos] === ']') {
+        cursor.pos++;
+        return items;
+      }
+      const item = readValue(cursor);
+      if (item === undefined) {
+        cursor.pos++; // Stray delimiter
+        continue;
+      }
+      items.push(item);
+    }
+  }
+  
+  if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+    return undefined;
+  }
+  
+  const token = readRegular(cursor);
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+    return readNumberOrReference(cursor, token);
+  }
+  if (token === 'true') return true;
+  if (token === 'false') return false;
+  if (token === 'null') return null;
+  return { op: token };
+}
+
+function readNumberOrReference(cursor, token) {
+  const number = parseFloat(token);
+  if (!/^\d+$/.test(token)) return number;
+  
+  // "12 0 R" is a reference; anything else leaves the cursor after the number
+  const saved = cursor.pos;
+  skipWhitespace(cursor);
+  const generation = readRegular(cursor);
+  if (/^\d+$/.test(generation)) {
+    skipWhitespace(cursor);
+    if (cursor.text[cursor.pos] === 'R' && !isRegular(cursor.text, cursor.pos + 1)) {
+      cursor.pos++;
+      return { ref: `${token} ${generation}` };
+    }
+  }
+  cursor.pos = saved;
+  return number;
+}
+
+function readDictionary(cursor) {
+  const dict = {};
+  const { text } = cursor;
+  
+  for (;;) {
+    skipWhitespace(cursor);
+    if (cursor.pos >= text.length) return dict;
+    if (text[cursor.pos] === '>' && text[cursor.pos + 1] === '>') {
+      cursor.pos += 2;
+      return dict;
+    }
+    
+    const key = readValue(cursor);
+    if (!key || key.name === undefined) {
+      cursor.pos++; // Not a key; skip past it
+      continue;
+    }
+    dict[key.name] = readValue(cursor);
+  }
+}
+
+function readHexString(cursor) {
+  const end = cursor.text.indexOf('>', cursor.pos);
+  const hex = cursor.text.slice(cursor.pos, end === -1 ? undefined : end).replace(/[^0-9a-fA-F]/g, '');
+  cursor.pos = end === -1 ? cursor.text.length : end + 1;
+  
+  let bytes = '';
+  for (let i = 0; i < hex.length; i += 2) {
+    // An odd final digit is followed by an implied 0
+    bytes += String.fromCharCode(parseInt(hex.substr(i, 2).padEnd(2, '0'), 16));
+  }
+  return bytes;
+}
+
+function readLiteralString(cursor) {
+  const { text } = cursor;
+  let depth = 1;
+  let result = '';
+  
+  while (cursor.pos < text.length) {
+    const ch = text[cursor.pos++];
+    
+    if (ch === '\\') {
+      const next = text[cursor.pos++];
+      if (ESCAPES[next]) {
+        result += ESCAPES[next];
+      } else if (next >= '0' && next <= '7') {
+        let octal = next;
+        while (octal.length < 3 && text[cursor.pos] >= '0' && text[cursor.pos] <= '7') {
+          octal += text[cursor.pos++];
+        }
+        result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (next === '\r') {
+        // Line continuation
+        if (text[cursor.pos] === '\n') cursor.pos++;
+      } else if (next !== '\n') {
+        result += next;
+      }
+    } else if (ch === '(') {
+      depth++;
+      result += ch;
+    } else if (ch === ')') {
+      if (--depth === 0) break;
+      result += ch;
+    } else {
+      result += ch;
+    }
+  }
+  
+  return result;
+}
+
+// ============================================
+// DOCUMENT
+// ============================================
+const OBJECT_HEADER = /(\d+)\s+(\d+)\s+obj\b/g;
+
+/**
+ * Index every object of a PDF file.
+ * Resolves with { trailer, resolve(value), getStreamText(stream) }.
+ */
+export async function openPdf(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const text = bytesToBinary(bytes);
+  
+  if (!text.startsWith('%PDF-')) {
+    throw new Error('Not a PDF file');
+  }
+  
+  const objects = new Map();
+  OBJECT_HEADER.lastIndex = 0;
+  let match;
+  while ((match = OBJECT_HEADER.exec(text)) !== null) {
+    const cursor = createCursor(text, OBJECT_HEADER.lastIndex);
+    const value = readValue(cursor);
+    objects.set(`${match[1]} ${match[2]}`, readStream(text, bytes, cursor, value));
+    OBJECT_HEADER.lastIndex = Math.max(OBJECT_HEADER.lastIndex, cursor.pos);
+  }
+  
+  const pdf = {
+    trailer: findTrailer(text, objects),
+    objects: () => objects.values(),
+    resolve: (value) => resolve(objects, value),
+    getStreamText: (stream) => getStreamText(pdf, stream)
+  };
+  
+  await unpackObjectStreams(pdf, objects);
+  
+  if (pdf.trailer.Encrypt) {
+    throw new Error('The PDF is encrypted');
+  }
+  
+  return pdf;
+}
+
+function readStream(text, bytes, cursor, value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  
+  skipWhitespace(cursor);
+  if (!text.startsWith('stream', cursor.pos)) return value;
+  
+  // Data starts after the end of line that follows the keyword
+  let start = cursor.pos + 6;
+  if (text[start] === '\r') start++;
+  if (text[start] === '\n') start++;
+  
+  // /Length may be an indirect reference that is not indexed yet, so the
+  // endstream keyword is the reliable end
+  let end = text.indexOf('endstream', start);
+  if (end === -1) end = text.length;
+  const length = typeof value.Length === 'number' ? value.Length : null;
+  if (length !== null && length <= end - start) {
+    end = start + length;
+  } else {
+    while (end > start && (text[end - 1] === '\n' || text[end - 1] === '\r')) end--;
+  }
+  
+  cursor.pos = end;
+  return { dict: value, data: bytes.subarray(start, end) };
+}
+
+function findTrailer(text, objects) {
+  // Classic trailer dictionaries, or the dictionary of an xref stream
+  const position = text.lastIndexOf('trailer');
+  if (position !== -1) {
+    const trailer = readValue(createCursor(text, position + 7));
+    if (trailer && trailer.Root) return trailer;
+  }
+  
+  for (const value of [...objects.values()].reverse()) {
+    if (value && value.dict && value.dict.Type && value.dict.Type.name === 'XRef') return value.dict;
+  }
+  return {};
+}
+
+function resolve(objects, value, depth = 0) {
+  if (value && value.ref && depth < 32) {
+    return resolve(objects, objects.get(value.ref), depth + 1);
+  }
+  return value === undefined ? null : value;
+}
+
+async function unpackObjectStreams(pdf, objects) {
+  for (const value of [...objects.values()]) {
+    if (!value || !value.dict || !value.dict.Type || value.dict.Type.name !== 'ObjStm') continue;
+    
+    let text;
+    try {
+      text = await getStreamText(pdf, value);
+    } catch (error) {
+      continue;
+    }
+    
+    // The stream starts with N pairs of "object number, offset"
+    const count = value.dict.N || 0;
+    const first = value.dict.First || 0;
+    const header = createCursor(text);
+    for (let i = 0; i < count; i++) {
+      const number = readValue(header);
+      const offset = readValue(header);
+      const key = `${number} 0`;
+      if (typeof offset !== 'number' || objects.has(key)) continue;
+      objects.set(key, readValue(createCursor(text, first + offset)));
+    }
+  }
+}
+
+// ============================================
+// STREAMS
+// ============================================
+async function getStreamText(pdf, stream) {
+  return bytesToBinary(await decodeStream(pdf, stream));
+}
+
+async function decodeStream(pdf, stream) {
+  const filter = pdf.resolve(stream.dict.Filter);
+  const filters = (Array.isArray(filter) ? filter : [filter])
+    .map(item => pdf.resolve(item))
+    .filter(Boolean)
+    .map(item => item.name);
+  
+  let data = stream.data;
+  for (const name of filters) {
+    switch (name) {
+      case 'FlateDecode':
+      case 'Fl':
+        data = await inflateStream(data);
+        break;
+      case 'ASCIIHexDecode':
+      case 'AHx':
+        data = binaryToBytes(readHexString(createCursor(bytesToBinary(data))));
+        break;
+      case 'ASCII85Decode':
+      case 'A85':
+        data = decodeAscii85(bytesToBinary(data));
+        break;
+      default:
+        throw new Error(`Unsupported PDF filter ${name}`);
+    }
+  }
+  return data;
+}
+
+async function inflateStream(data) {
+  try {
+    return await inflate(data, 'deflate');
+  } catch (error) {
+    // Some writers get the zlib checksum wrong; the data itself is fine
+    return inflate(data.subarray(2), 'deflate-raw');
+  }
+}
+
+function decodeAscii85(text) {
+  const bytes = [];
+  const clean = text.replace(/\s/g, '').replace(/~>.*$/, '');
+  let group = [];
+  
+  for (const ch of clean) {
+    if (ch === 'z' && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      pushAscii85Group(bytes, group, 4);
+      group = [];
+    }
+  }
+  
+  if (group.length > 0) {
+    const count = group.length - 1;
+    while (group.length < 5) group.push(84);
+    pushAscii85Group(bytes, group, count);
+  }
+  return new Uint8Array(bytes);
+}
+
+function pushAscii85Group(bytes, group, count) {
+  const value = group.reduce((total, digit) => total * 85 + digit, 0);
+  for (let i = 0; i < count; i++) {
+    bytes.push((value >>> (24 - i * 8)) & 0xff);
+  }
+}
+
+// ============================================
+// UTILITIES
+// ============================================
+export function bytesToBinary(bytes) {
+  // Chunked so long streams don't overflow the argument limit
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function binaryToBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+  return bytes;
+}
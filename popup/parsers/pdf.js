@@ -0,0 +1,440 @@
+/**
+ * Google Flow Automation Pro - PDF Reader
+ * Runs the text operators of every page's content stream to find where
+ * each glyph is drawn, then rebuilds lines and paragraphs from their
+ * positions. A paragraph ends at a wider vertical gap, a change of font
+ * size, or a line that stops well short of the right margin; wrapped
+ * lines are joined back together, also across page breaks.
+ */
+
+import { openPdf, createCursor, readValue } from './pdf-objects.js';
+import { loadFont } from './pdf-fonts.js';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 8;
+
+// Pages with no /MediaBox are US Letter
+const DEFAULT_MEDIA_BOX = [0, 0, 612, 792];
+
+// A paragraph whose last line ends in one of these is not continued on
+// the next page
+const TERMINAL_PUNCTUATION = /[.!?:;…"”’)\]]$/;
+
+// Footers holding only a page number
+const PAGE_NUMBER = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i;
+
+/**
+ * Read the paragraphs of a PDF file in reading order.
+ * Resolves with their texts, whitespace collapsed and empty ones dropped.
+ */
+export async function extractPdfParagraphs(arrayBuffer) {
+  const pdf = await openPdf(arrayBuffer);
+  const pages = getPages(pdf);
+  if (pages.length === 0) {
+    throw new Error('No pages found in the PDF');
+  }
+  
+  const paragraphs = [];
+  let continued = false;
+  
+  for (const page of pages) {
+    const glyphs = await readPageGlyphs(pdf, page);
+    const pageParagraphs = buildParagraphs(buildLines(glyphs), page.mediaBox)
+      .filter(text => !PAGE_NUMBER.test(text));
+    
+    if (pageParagraphs.length === 0) continue;
+    
+    if (continued) {
+      paragraphs[paragraphs.length - 1] = joinLines(paragraphs[paragraphs.length - 1], pageParagraphs.shift());
+    }
+    paragraphs.push(...pageParagraphs);
+    
+    const last = paragraphs[paragraphs.length - 1];
+    continued = last !== undefined && !TERMINAL_PUNCTUATION.test(last);
+  }
+  
+  const texts = paragraphs.filter(text => text.length > 0);
+  if (texts.length === 0) {
+    throw new Error('No text found in the PDF; scanned pages have no text to read');
+  }
+  return texts;
+}
+
+// ============================================
+// PAGES
+// ============================================
+function getPages(pdf) {
+  const root = pdf.resolve(pdf.trailer.Root);
+  const pages = [];
+  
+  if (root && root.Pages) {
+    collectPages(pdf, pdf.resolve(root.Pages), {}, pages, new Set());
+  }
+  
+  if (pages.length === 0) {
+    // No usable page tree; take page objects in file order
+    for (const object of pdf.objects()) {
+      if (object && object.Type && object.Type.name === 'Page') {
+        pages.push(createPage(pdf, object, {}));
+      }
+    }
+  }
+  return pages;
+}
+
+function collectPages(pdf, node, inherited, pages, seen) {
+  if (!node || seen.has(node)) return;
+  seen.add(node);
+  
+  if (node.Type && node.Type.name === 'Page') {
+    pages.push(createPage(pdf, node, inherited));
+    return;
+  }
+  
+  const attributes = {
+    Resources: node.Resources || inherited.Resources,
+    MediaBox: node.MediaBox || inherited.MediaBox
+  };
+  for (const kid of pdf.resolve(node.Kids) || []) {
+    collectPages(pdf, pdf.resolve(kid), attributes, pages, seen);
+  }
+}
+
+function createPage(pdf, node, inherited) {
+  const mediaBox = pdf.resolve(node.MediaBox || inherited.MediaBox);
+  return {
+    resources: pdf.resolve(node.Resources || inherited.Resources) || {},
+    contents: node.Contents,
+    mediaBox: Array.isArray(mediaBox) && mediaBox.length === 4
+      ? mediaBox.map(value => pdf.resolve(value))
+      : DEFAULT_MEDIA_BOX
+  };
+}
+
+async function readContents(pdf, contents) {
+  const resolved = pdf.resolve(contents);
+  const streams = Array.isArray(resolved) ? resolved.map(item => pdf.resolve(item)) : [resolved];
+  const texts = [];
+  
+  for (const stream of streams) {
+    if (!stream || !stream.data) continue;
+    try {
+      texts.push(await pdf.getStreamText(stream));
+    } catch (error) {
+      console.warn('Skipping unreadable PDF content stream:', error);
+    }
+  }
+  // Streams of one page may split an operator between them
+  return texts.join('\n');
+}
+
+// ============================================
+// CONTENT STREAMS
+// ============================================
+async function readPageGlyphs(pdf, page) {
+  const glyphs = [];
+  const content = await readContents(pdf, page.contents);
+  await runContent(pdf, content, page.resources, IDENTITY, glyphs, new Map(), 0);
+  return glyphs;
+}
+
+/**
+ * Interpret one content stream, pushing a { text, x, y, size, width }
+ * entry per shown glyph. Only the state that moves text is tracked.
+ */
+async function runContent(pdf, content, resources, baseMatrix, glyphs, fontCache, depth) {
+  const cursor = createCursor(content);
+  const operands = [];
+  const stack = [];
+  
+  let ctm = baseMatrix;
+  let text = createTextState();
+  let textMatrix = IDENTITY;
+  let lineMatrix = IDENTITY;
+  
+  const fonts = pdf.resolve(resources.Font) || {};
+  const xObjects = pdf.resolve(resources.XObject) || {};
+  
+  const showText = (bytes) => {
+    if (!text.font) return;
+    const size = text.fontSize;
+    
+    for (const glyph of text.font.decode(bytes)) {
+      const matrix = multiply(textMatrix, ctm);
+      const scaleX = Math.hypot(matrix[0], matrix[1]);
+      const scaleY = Math.hypot(matrix[2], matrix[3]);
+      const advance = (glyph.width * size + text.charSpacing + (glyph.isSpace ? text.wordSpacing : 0)) * text.horizontalScale;
+      
+      glyphs.push({
+        text: glyph.text,
+        x: matrix[4],
+        y: matrix[5] + text.rise * scaleY,
+        size: size * scaleY,
+        width: advance * scaleX
+      });
+      textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+    }
+  };
+  
+  const moveText = (tx, ty) => {
+    lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+  
+  const nextLine = () => moveText(0, -text.leading);
+  
+  for (;;) {
+    const value = readValue(cursor);
+    if (value === undefined) {
+      if (cursor.pos >= content.length) break;
+      cursor.pos++; // Stray delimiter
+      continue;
+    }
+    if (!value || value.op === undefined) {
+      operands.push(value);
+      continue;
+    }
+    
+    const args = operands.splice(0);
+    const number = (index) => (typeof args[index] === 'number' ? args[index] : 0);
+    
+    switch (value.op) {
+      case 'q':
+        stack.push({ ctm, text: { ...text } });
+        break;
+      case 'Q':
+        if (stack.length > 0) ({ ctm, text } = stack.pop());
+        break;
+      case 'cm':
+        if (args.length === 6) ctm = multiply(args.map((_, i) => number(i)), ctm);
+        break;
+      case 'BT':
+        textMatrix = IDENTITY;
+        lineMatrix = IDENTITY;
+        break;
+      case 'Tf':
+        text.fontSize = number(1);
+        text.font = await getFont(pdf, fonts, args[0], fontCache);
+        break;
+      case 'Tc':
+        text.charSpacing = number(0);
+        break;
+      case 'Tw':
+        text.wordSpacing = number(0);
+        break;
+      case 'Tz':
+        text.horizontalScale = number(0) / 100;
+        break;
+      case 'TL':
+        text.leading = number(0);
+        break;
+      case 'Ts':
+        text.rise = number(0);
+        break;
+      case 'Td':
+        moveText(number(0), number(1));
+        break;
+      case 'TD':
+        text.leading = -number(1);
+        moveText(number(0), number(1));
+        break;
+      case 'Tm':
+        lineMatrix = args.map((_, i) => number(i));
+        textMatrix = lineMatrix;
+        break;
+      case 'T*':
+        nextLine();
+        break;
+      case 'Tj':
+        if (args[0] && args[0].string !== undefined) showText(args[0].string);
+        break;
+      case "'":
+        nextLine();
+        if (args[0] && args[0].string !== undefined) showText(args[0].string);
+        break;
+      case '"':
+        text.wordSpacing = number(0);
+        text.charSpacing = number(1);
+        nextLine();
+        if (args[2] && args[2].string !== undefined) showText(args[2].string);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(args[0]) ? args[0] : []) {
+          if (typeof item === 'number') {
+            // Kerning, in thousandths of the font size
+            const tx = -item / 1000 * text.fontSize * text.horizontalScale;
+            textMatrix = multiply([1, 0, 0, 1, tx, 0], textMatrix);
+          } else if (item && item.string !== undefined) {
+            showText(item.string);
+          }
+        }
+        break;
+      case 'Do':
+        if (depth < MAX_FORM_DEPTH && args[0] && args[0].name !== undefined) {
+          await runForm(pdf, pdf.resolve(xObjects[args[0].name]), resources, ctm, glyphs, fontCache, depth);
+        }
+        break;
+      case 'BI':
+        skipInlineImage(cursor);
+        break;
+    }
+  }
+}
+
+async function runForm(pdf, form, resources, ctm, glyphs, fontCache, depth) {
+  if (!form || !form.data || !form.dict.Subtype || form.dict.Subtype.name !== 'Form') return;
+  
+  let content;
+  try {
+    content = await pdf.getStreamText(form);
+  } catch (error) {
+    return;
+  }
+  
+  const matrix = pdf.resolve(form.dict.Matrix);
+  const formMatrix = Array.isArray(matrix) && matrix.length === 6 ? matrix.map(value => pdf.resolve(value)) : IDENTITY;
+  const formResources = pdf.resolve(form.dict.Resources) || resources;
+  await runContent(pdf, content, formResources, multiply(formMatrix, ctm), glyphs, fontCache, depth + 1);
+}
+
+function skipInlineImage(cursor) {
+  // Image data runs from "ID" to "EI" and is not made of tokens
+  const start = cursor.text.indexOf('ID', cursor.pos);
+  const end = start === -1 ? -1 : cursor.text.slice(start + 3).search(/\sEI(\s|$)/);
+  cursor.pos = end === -1 ? cursor.text.length : start + 3 + end + 3;
+}
+
+function createTextState() {
+  return {
+    font: null,
+    fontSize: 0,
+    charSpacing: 0,
+    wordSpacing: 0,
+    horizontalScale: 1,
+    leading: 0,
+    rise: 0
+  };
+}
+
+async function getFont(pdf, fonts, name, fontCache) {
+  if (!name || name.name === undefined) return null;
+  const ref = fonts[name.name];
+  const key = ref && ref.ref ? ref.ref : ref;
+  
+  if (!fontCache.has(key)) {
+    fontCache.set(key, ref ? await loadFont(pdf, ref) : null);
+  }
+  return fontCache.get(key);
+}
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+// ============================================
+// LAYOUT
+// ============================================
+function buildLines(glyphs) {
+  const lines = [];
+  let line = null;
+  
+  for (const glyph of glyphs) {
+    if (!glyph.text || glyph.size <= 0) continue;
+    
+    // Same baseline, not jumping back to the left: the line goes on
+    const sameLine = line
+      && Math.abs(glyph.y - line.y) < line.size * 0.5
+      && glyph.x > line.x1 - line.size;
+    
+    if (!sameLine) {
+      line = {
+        text: '',
+        x0: glyph.x,
+        x1: glyph.x,
+        y: glyph.y,
+        size: glyph.size,
+        firstWordWidth: 0
+      };
+      lines.push(line);
+    } else if (glyph.x - line.x1 > line.size * 0.2 && !/\s$/.test(line.text)) {
+      // Words placed apart rather than with a space character
+      line.text += ' ';
+    }
+    
+    line.text += glyph.text;
+    line.x1 = Math.max(line.x1, glyph.x + glyph.width);
+    line.size = Math.max(line.size, glyph.size);
+    if (!/\s/.test(line.text.trim())) {
+      line.firstWordWidth = line.x1 - line.x0;
+    }
+  }
+  
+  return lines
+    .map(item => ({ ...item, text: item.text.replace(/\s+/g, ' ').trim() }))
+    .filter(item => item.text.length > 0);
+}
+
+function buildParagraphs(lines, mediaBox) {
+  if (lines.length === 0) return [];
+  
+  // Where full lines end: the longest line, or the left margin mirrored
+  // when no line on the page is full
+  const left = Math.min(...lines.map(line => line.x0));
+  const rightEdge = Math.max(
+    Math.max(...lines.map(line => line.x1)),
+    mediaBox[2] - (left - mediaBox[0])
+  );
+  const lineGap = medianLineGap(lines);
+  
+  const paragraphs = [];
+  let current = lines[0].text;
+  
+  for (let i = 1; i < lines.length; i++) {
+    const previous = lines[i - 1];
+    const line = lines[i];
+    const gap = previous.y - line.y;
+    
+    const wrapped = gap > 0
+      && gap <= Math.max(lineGap, previous.size) * 1.4
+      && Math.abs(line.size - previous.size) < 0.5
+      // The first word of this line would have fit on the one before
+      && previous.x1 + previous.size * 0.3 + line.firstWordWidth >= rightEdge - previous.size;
+    
+    if (wrapped) {
+      current = joinLines(current, line.text);
+    } else {
+      paragraphs.push(current);
+      current = line.text;
+    }
+  }
+  paragraphs.push(current);
+  
+  return paragraphs;
+}
+
+function medianLineGap(lines) {
+  const gaps = [];
+  for (let i = 1; i < lines.length; i++) {
+    const gap = lines[i - 1].y - lines[i].y;
+    if (gap > 0 && gap < lines[i].size * 3) gaps.push(gap);
+  }
+  if (gaps.length === 0) return lines[0].size * 1.2;
+  
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+function joinLines(first, second) {
+  if (!first) return second;
+  if (!second) return first;
+  // A soft hyphen only marks where the word was broken
+  if (first.endsWith('\u00ad')) return first.slice(0, -1) + second;
+  return `${first} ${second}`;
+}
@@ -0,0 +1,78 @@
+/**
+ * Google Flow Automation Pro - Prompt Splitter
+ * Cuts pasted or uploaded text into prompts. Besides one prompt per line,
+ * a prompt may span several lines when prompts are separated by blank
+ * lines, by a delimiter such as "---", or start with a "Scene 3:" label
+ * or, in text without labels, a list number. Line breaks inside a prompt
+ * are kept.
+ */
+
+export const SPLIT_MODES = ['lines', 'blocks', 'delimiter', 'numbered'];
+
+// "Scene 3:", "Shot 12A -" and "Prompt 4" labels
+const LABEL_MARKER = /^\s*(?:scene|shot|prompt)\s*#?\s*(\d+[a-z]?)\s*(?:[:.)\-–—]|$)\s*/i;
+// "1." and "2)" list numbers
+const LIST_MARKER = /^\s*(\d+)\s*[.)](?=\s|$)\s*/;
+
+/**
+ * Split text into prompts.
+ * Returns { text, scene } entries; scene is only set by numbered markers.
+ */
+export function splitPrompts(text, { mode = 'lines', delimiter = '' } = {}) {
+  const normalized = text.replace(/\r\n?/g, '\n');
+  
+  switch (mode) {
+    case 'blocks':
+      return toEntries(normalized.split(/\n[ \t]*\n/));
+    case 'delimiter':
+      // Without a delimiter the whole text would be one prompt
+      return delimiter.trim() ? toEntries(normalized.split(delimiter.trim())) : [];
+    case 'numbered':
+      return splitNumbered(normalized);
+    default:
+      return toEntries(normalized.split('\n'));
+  }
+}
+
+function splitNumbered(text) {
+  const lines = text.split('\n');
+  // A document labelled "Scene 1:" keeps list numbers inside its scenes
+  const marker = lines.some(line => LABEL_MARKER.test(line)) ? LABEL_MARKER : LIST_MARKER;
+  const seenScenes = new Set();
+  const entries = [];
+  let current = null;
+  
+  for (const line of lines) {
+    const match = line.match(marker);
+    if (match) {
+      // A repeated number still starts a prompt, but without a duplicate scene
+      const scene = seenScenes.has(match[1].toLowerCase()) ? null : match[1];
+      if (scene) seenScenes.add(scene.toLowerCase());
+      current = { lines: [line.slice(match[0].length)], scene };
+      entries.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else if (line.trim()) {
+      // Text before the first number, such as a title, stays visible
+      current = { lines: [line], scene: null };
+      entries.push(current);
+    }
+  }
+  
+  return entries
+    .map(entry => ({ text: cleanBlock(entry.lines.join('\n')), scene: entry.scene }))
+    .filter(entry => entry.text.length > 0);
+}
+
+function toEntries(blocks) {
+  return blocks
+    .map(block => ({ text: cleanBlock(block), scene: null }))
+    .filter(entry => entry.text.length > 0);
+}
+
+function cleanBlock(block) {
+  return block.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+}
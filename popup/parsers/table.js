@@ -0,0 +1,157 @@
+/**
+ * Google Flow Automation Pro - Table Reader
+ * Reads CSV, TSV and JSON scene lists into columns and rows of strings,
+ * ready to be mapped onto prompt fields. Spreadsheet exports are read as
+ * RFC 4180: quoted cells may hold delimiters, quotes and line breaks.
+ */
+
+export const TABLE_EXTENSIONS = ['csv', 'tsv', 'json'];
+
+/**
+ * Read a table file's text.
+ * Returns { columns, rows, hasHeader, headerRow }. Delimited files keep
+ * their first row in rows and in headerRow; hasHeader says whether it
+ * looks like labels. getTableView applies the user's choice.
+ */
+export function parseTable(text, extension) {
+  // Excel writes a byte order mark in front of UTF-8 exports
+  const clean = text.replace(/^\uFEFF/, '');
+  
+  if (extension === 'json') {
+    return parseJsonTable(clean);
+  }
+  
+  const delimiter = extension === 'tsv' ? '\t' : detectDelimiter(clean);
+  const rows = parseDelimited(clean, delimiter)
+    .filter(row => row.some(cell => cell.trim().length > 0));
+  if (rows.length === 0) {
+    throw new Error('The file has no rows');
+  }
+  
+  // A header row is short labels, none of them a number
+  const width = Math.max(...rows.map(row => row.length));
+  const headerRow = padRow(rows[0], width);
+  const hasHeader = rows.length > 1 && headerRow.every(cell => {
+    const label = cell.trim();
+    return label.length > 0 && label.length <= 40 && !/^\d+$/.test(label);
+  });
+  
+  return { columns: null, rows: rows.map(row => padRow(row, width)), hasHeader, headerRow };
+}
+
+/**
+ * Columns and data rows of a parsed table. With useHeader the first row
+ * of a delimited file names the columns instead of being data.
+ */
+export function getTableView(table, useHeader) {
+  if (!table.headerRow) {
+    return { columns: table.columns, rows: table.rows };
+  }
+  
+  const columns = table.headerRow.map((cell, i) =>
+    (useHeader && cell.trim() ? cell.trim() : `Column ${i + 1}`));
+  return { columns, rows: useHeader ? table.rows.slice(1) : table.rows };
+}
+
+function padRow(row, width) {
+  return Array.from({ length: width }, (_, i) => (row[i] === undefined ? '' : row[i]));
+}
+
+// ============================================
+// DELIMITED TEXT
+// ============================================
+function detectDelimiter(text) {
+  // Spreadsheets in locales with a decimal comma export with semicolons
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim().length === 0) {
+      quoted = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ============================================
+// JSON
+// ============================================
+function parseJsonTable(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  
+  // Accept { "scenes": [...] } and similar wrappers around the list
+  if (data && !Array.isArray(data) && typeof data === 'object') {
+    const lists = Object.values(data).filter(Array.isArray);
+    if (lists.length === 1) data = lists[0];
+  }
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new Error('Expected a list of prompts or scene objects');
+  }
+  
+  if (data.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+    const columns = [];
+    data.forEach(item => Object.keys(item).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    }));
+    const rows = data.map(item => columns.map(key => toCell(item[key])));
+    return { columns, rows, hasHeader: true, headerRow: null };
+  }
+  
+  const width = Math.max(...data.map(item => (Array.isArray(item) ? item.length : 1)));
+  const rows = data.map(item => padRow((Array.isArray(item) ? item : [item]).map(toCell), width));
+  const columns = Array.from({ length: width }, (_, i) => (width === 1 ? 'prompt' : `Column ${i + 1}`));
+  return { columns, rows, hasHeader: false, headerRow: null };
+}
+
+function toCell(value) {
+  if (value === undefined || value === null) return '';
+  // Lists of reference names stay readable as "a.png; b.png"
+  if (Array.isArray(value)) return value.map(toCell).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
@@ -0,0 +1,110 @@
+/**
+ * Google Flow Automation Pro - Zip Reader
+ * Reads the central directory of a zip archive and inflates single
+ * entries on demand. Covers what Office files use: stored and deflated
+ * entries, no encryption and no ZIP64.
+ */
+
+import { inflate } from './inflate.js';
+
+// ============================================
+// FORMAT CONSTANTS
+// ============================================
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end record is 22 bytes plus a comment of up to 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x1;
+
+// ============================================
+// ARCHIVE
+// ============================================
+/**
+ * Open a zip archive held in an ArrayBuffer.
+ * Throws when the bytes are not a zip file.
+ */
+export function openZip(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const entries = readCentralDirectory(view);
+  
+  return {
+    names: () => [...entries.keys()],
+    has: (name) => entries.has(name),
+    read: (name) => readEntry(view, entries.get(name), name),
+    readText: async (name) => new TextDecoder().decode(await readEntry(view, entries.get(name), name))
+  };
+}
+
+export function isZip(arrayBuffer) {
+  return arrayBuffer.byteLength >= 4 && new DataView(arrayBuffer).getUint32(0, true) === LOCAL_FILE_HEADER;
+}
+
+function readCentralDirectory(view) {
+  const end = findEndRecord(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  
+  const entries = new Map();
+  const decoder = new TextDecoder();
+  
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip central directory');
+    }
+    
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(view.buffer, offset + 46, nameLength));
+    
+    entries.set(name, {
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      headerOffset: view.getUint32(offset + 42, true)
+    });
+    
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return entries;
+}
+
+function findEndRecord(view) {
+  const last = view.byteLength - 22;
+  const first = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+  
+  for (let offset = last; offset >= first; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Not a zip file');
+}
+
+async function readEntry(view, entry, name) {
+  if (!entry) throw new Error(`Missing ${name} in archive`);
+  if (entry.flags & FLAG_ENCRYPTED) throw new Error(`${name} is encrypted`);
+  if (entry.compressedSize === 0xffffffff) throw new Error(`${name} is too large (ZIP64)`);
+  
+  // Sizes in the local header may be zero when a data descriptor follows,
+  // so only its name and extra lengths are used
+  const header = entry.headerOffset;
+  if (view.getUint32(header, true) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupt zip entry ${name}`);
+  }
+  const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const data = new Uint8Array(view.buffer, start, entry.compressedSize);
+  
+  switch (entry.method) {
+    case METHOD_STORED:
+      return data.slice();
+    case METHOD_DEFLATE:
+      return inflate(data, 'deflate-raw');
+    default:
+      throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+  }
+}
@@ -1,44 +1,116 @@
 /**
  * Google Flow Automation Pro - Popup Script
  * Handles UI interactions, prompt management, and communication with background script
+ *
+ * The popup keeps no queue of its own. `state` mirrors the background
+ * worker's store: a snapshot arrives when the popup port connects and
+ * diffs keep it current for as long as the popup stays open.
  */
 
+import { isZip } from './parsers/zip.js';
+import { extractDocxParagraphs } from './parsers/docx.js';
+import { extractPdfParagraphs } from './parsers/pdf.js';
+import { TABLE_EXTENSIONS, parseTable, getTableView } from './parsers/table.js';
+import { splitPrompts } from './parsers/split.js';
+
 // ============================================
 // STATE MANAGEMENT
 // ============================================
 const state = {
   prompts: [],
   settings: {
+    mediaType: 'image',
+    videoTimeoutMinutes: 10,
+    aspectRatio: 'landscape',
+    model: '',
     outputCount: 2,
     downloadFolder: '',
-    intervalSeconds: 2
+    intervalSeconds: 2,
+    maxInFlight: 3,
+    retry: {
+      maxAttempts: 3,
+      baseDelaySeconds: 30,
+      retryOn: ['timeout', 'network', 'download', 'generation']
+    },
+    circuitBreaker: {
+      maxConsecutiveFailures: 5,
+      windowSize: 20,
+      maxFailureRate: 60
+    },
+    split: {
+      mode: 'lines',
+      delimiter: '---'
+    }
   },
   workflow: {
     status: 'idle', // idle, running, paused, stopped, completed
     currentIndex: 0,
-    startTime: null,
-    elapsedSeconds: 0
+    elapsedMs: 0,
+    runStartedAt: null,
+    alert: null
+  },
+  throughput: {
+    perHour: 0,
+    etaSeconds: null
   }
 };
 
+let backgroundPort = null;
+
 // ============================================
 // DOM ELEMENTS
 // ============================================
 const elements = {
   // Header
   statusIndicator: document.getElementById('statusIndicator'),
+  optionsBtn: document.getElementById('optionsBtn'),
   projectStatus: document.getElementById('projectStatus'),
+  pickElementsBtn: document.getElementById('pickElementsBtn'),
+  checkPageBtn: document.getElementById('checkPageBtn'),
+  diagnosticsPanel: document.getElementById('diagnosticsPanel'),
+  diagnosticsSummary: document.getElementById('diagnosticsSummary'),
+  diagnosticsList: document.getElementById('diagnosticsList'),
   
   // Settings
+  modeBtns: document.querySelectorAll('.mode-btn'),
+  videoOptions: document.getElementById('videoOptions'),
+  videoTimeout: document.getElementById('videoTimeout'),
+  outputCountLabel: document.getElementById('outputCountLabel'),
   outputBtns: document.querySelectorAll('.output-btn'),
+  aspectBtns: document.querySelectorAll('.aspect-btn'),
+  modelName: document.getElementById('modelName'),
   downloadFolder: document.getElementById('downloadFolder'),
   selectFolderBtn: document.getElementById('selectFolderBtn'),
+  maxInFlight: document.getElementById('maxInFlight'),
+  submitGap: document.getElementById('submitGap'),
+  retryMaxAttempts: document.getElementById('retryMaxAttempts'),
+  retryBaseDelay: document.getElementById('retryBaseDelay'),
+  retryClassInputs: document.querySelectorAll('#retryClasses input'),
+  breakerConsecutive: document.getElementById('breakerConsecutive'),
+  breakerWindow: document.getElementById('breakerWindow'),
+  breakerRate: document.getElementById('breakerRate'),
   
   // Prompts
   uploadArea: document.getElementById('uploadArea'),
   fileInput: document.getElementById('fileInput'),
   pasteInput: document.getElementById('pasteInput'),
   addPromptsBtn: document.getElementById('addPromptsBtn'),
+  splitMode: document.getElementById('splitMode'),
+  splitDelimiter: document.getElementById('splitDelimiter'),
+  splitPreview: document.getElementById('splitPreview'),
+  importOverrideFields: document.getElementById('importOverrideFields'),
+  importMapping: document.getElementById('importMapping'),
+  importMappingTitle: document.getElementById('importMappingTitle'),
+  importHeaderToggle: document.getElementById('importHeaderToggle'),
+  importHasHeader: document.getElementById('importHasHeader'),
+  importMappingFields: document.getElementById('importMappingFields'),
+  importMappingPreview: document.getElementById('importMappingPreview'),
+  importCancelBtn: document.getElementById('importCancelBtn'),
+  importConfirmBtn: document.getElementById('importConfirmBtn'),
+  referenceFolderBtn: document.getElementById('referenceFolderBtn'),
+  referenceFolderInput: document.getElementById('referenceFolderInput'),
+  referenceFileInput: document.getElementById('referenceFileInput'),
+  frameFileInput: document.getElementById('frameFileInput'),
   promptsList: document.getElementById('promptsList'),
   emptyState: document.getElementById('emptyState'),
   totalCount: document.getElementById('totalCount'),
@@ -51,6 +123,11 @@ const elements = {
   progressPercentage: document.getElementById('progressPercentage'),
   elapsedTime: document.getElementById('elapsedTime'),
   remainingTime: document.getElementById('remainingTime'),
+  throughputRate: document.getElementById('throughputRate'),
+  throttleNotice: document.getElementById('throttleNotice'),
+  alertBanner: document.getElementById('alertBanner'),
+  alertMessage: document.getElementById('alertMessage'),
+  dismissAlertBtn: document.getElementById('dismissAlertBtn'),
   
   // Controls
   runBtn: document.getElementById('runBtn'),
@@ -71,69 +148,121 @@ const elements = {
 // ============================================
 // INITIALIZATION
 // ============================================
-async function initialize() {
-  await loadSavedState();
+function initialize() {
+  elements.importOverrideFields.innerHTML = renderOverrideFields({});
   setupEventListeners();
   setupFileParser();
   checkConnection();
   updateUI();
+  connectToBackground();
 }
 
-async function loadSavedState() {
-  try {
-    const result = await chrome.storage.local.get(['prompts', 'settings', 'workflow']);
-    
-    if (result.prompts) {
-      state.prompts = result.prompts;
-    }
-    if (result.settings) {
-      state.settings = { ...state.settings, ...result.settings };
-    }
-    if (result.workflow) {
-      state.workflow = { ...state.workflow, ...result.workflow };
-    }
-    
-    // Update UI with loaded settings
-    updateOutputSelection(state.settings.outputCount);
-    if (state.settings.downloadFolder) {
-      elements.downloadFolder.value = state.settings.downloadFolder;
-    }
-  } catch (error) {
-    console.error('Failed to load saved state:', error);
-  }
+function connectToBackground() {
+  backgroundPort = chrome.runtime.connect({ name: 'popup' });
+  backgroundPort.onMessage.addListener(handlePortMessage);
+  
+  // The worker may be restarted under us; reconnect for a fresh snapshot
+  backgroundPort.onDisconnect.addListener(() => {
+    backgroundPort = null;
+    setTimeout(connectToBackground, 500);
+  });
 }
 
-async function saveState() {
-  try {
-    await chrome.storage.local.set({
-      prompts: state.prompts,
-      settings: state.settings,
-      workflow: state.workflow
-    });
-  } catch (error) {
-    console.error('Failed to save state:', error);
-  }
+function applySettings(settings) {
+  state.settings = { ...state.settings, ...settings };
+  
+  // Update UI with the worker's settings
+  updateModeSelection(state.settings.mediaType);
+  elements.videoTimeout.value = state.settings.videoTimeoutMinutes;
+  updateOutputSelection(state.settings.outputCount);
+  updateAspectSelection(state.settings.aspectRatio);
+  elements.modelName.value = state.settings.model;
+  elements.downloadFolder.value = state.settings.downloadFolder
+    ? `Downloads/${state.settings.downloadFolder}`
+    : '';
+  elements.maxInFlight.value = state.settings.maxInFlight;
+  elements.submitGap.value = state.settings.intervalSeconds;
+  elements.retryMaxAttempts.value = state.settings.retry.maxAttempts;
+  elements.retryBaseDelay.value = state.settings.retry.baseDelaySeconds;
+  elements.retryClassInputs.forEach(input => {
+    input.checked = state.settings.retry.retryOn.includes(input.value);
+  });
+  elements.breakerConsecutive.value = state.settings.circuitBreaker.maxConsecutiveFailures;
+  elements.breakerWindow.value = state.settings.circuitBreaker.windowSize;
+  elements.breakerRate.value = state.settings.circuitBreaker.maxFailureRate;
+  elements.splitMode.value = state.settings.split.mode;
+  elements.splitDelimiter.value = state.settings.split.delimiter;
+  elements.splitDelimiter.style.display = state.settings.split.mode === 'delimiter' ? '' : 'none';
+  updateSplitPreview();
+}
+
+function updateSettings(changes) {
+  return sendMessage({ type: 'UPDATE_SETTINGS', settings: changes });
 }
 
 // ============================================
 // EVENT LISTENERS
 // ============================================
 function setupEventListeners() {
+  // Selector profiles live on the options page
+  elements.optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  elements.pickElementsBtn.addEventListener('click', handlePickElements);
+  elements.checkPageBtn.addEventListener('click', runDiagnostics);
+  
+  // Generation type
+  elements.modeBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      updateModeSelection(btn.dataset.mode);
+      updateSettings({ mediaType: btn.dataset.mode });
+    });
+  });
+  elements.videoTimeout.addEventListener('change', () => {
+    const videoTimeoutMinutes = clampNumber(elements.videoTimeout.value, 1, 60, 10);
+    elements.videoTimeout.value = videoTimeoutMinutes;
+    updateSettings({ videoTimeoutMinutes });
+  });
+  
   // Output selection
   elements.outputBtns.forEach(btn => {
     btn.addEventListener('click', () => {
       const count = parseInt(btn.dataset.count);
       updateOutputSelection(count);
-      state.settings.outputCount = count;
-      saveState();
-      sendMessage({ type: 'UPDATE_SETTINGS', settings: state.settings });
+      updateSettings({ outputCount: count });
+    });
+  });
+  
+  // Aspect ratio and model
+  elements.aspectBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      updateAspectSelection(btn.dataset.aspect);
+      updateSettings({ aspectRatio: btn.dataset.aspect });
     });
   });
+  elements.modelName.addEventListener('change', () => {
+    updateSettings({ model: elements.modelName.value.trim() });
+  });
   
   // Folder selection
   elements.selectFolderBtn.addEventListener('click', selectDownloadFolder);
   elements.downloadFolder.addEventListener('click', selectDownloadFolder);
   
+  // Pacing
+  elements.maxInFlight.addEventListener('change', updatePacing);
+  elements.submitGap.addEventListener('change', updatePacing);
+  
+  // Retry policy
+  elements.retryMaxAttempts.addEventListener('change', updateRetryPolicy);
+  elements.retryBaseDelay.addEventListener('change', updateRetryPolicy);
+  elements.retryClassInputs.forEach(input => {
+    input.addEventListener('change', updateRetryPolicy);
+  });
+  
+  // Circuit breaker
+  elements.breakerConsecutive.addEventListener('change', updateCircuitBreaker);
+  elements.breakerWindow.addEventListener('change', updateCircuitBreaker);
+  elements.breakerRate.addEventListener('change', updateCircuitBreaker);
+  elements.dismissAlertBtn.addEventListener('click', dismissAlert);
+  
   // Upload area
   elements.uploadArea.addEventListener('click', () => elements.fileInput.click());
   elements.uploadArea.addEventListener('dragover', handleDragOver);
@@ -141,6 +270,12 @@ function setupEventListeners() {
   elements.uploadArea.addEventListener('drop', handleDrop);
   elements.fileInput.addEventListener('change', handleFileSelect);
   
+  // Column mapping for spreadsheet imports
+  elements.importHasHeader.addEventListener('change', renderImportMapping);
+  elements.importMappingFields.addEventListener('change', updateImportPreview);
+  elements.importCancelBtn.addEventListener('click', closeImportMapping);
+  elements.importConfirmBtn.addEventListener('click', confirmImportMapping);
+  
   // Paste area
   elements.addPromptsBtn.addEventListener('click', addPastedPrompts);
   elements.pasteInput.addEventListener('keydown', (e) => {
@@ -148,6 +283,19 @@ function setupEventListeners() {
       addPastedPrompts();
     }
   });
+  elements.pasteInput.addEventListener('input', updateSplitPreview);
+  
+  // Prompt splitting
+  elements.splitMode.addEventListener('change', updateSplitOptions);
+  elements.splitDelimiter.addEventListener('input', updateSplitPreview);
+  elements.splitDelimiter.addEventListener('change', updateSplitOptions);
+  
+  // Reference images
+  elements.referenceFolderBtn.addEventListener('click', () => elements.referenceFolderInput.click());
+  elements.referenceFolderInput.addEventListener('change', handleReferenceFolder);
+  elements.referenceFileInput.addEventListener('change', handleReferenceFiles);
+  elements.frameFileInput.addEventListener('change', handleFrameFiles);
+  elements.promptsList.addEventListener('click', handlePromptListClick);
   
   // Control buttons
   elements.runBtn.addEventListener('click', handleRun);
@@ -159,9 +307,6 @@ function setupEventListeners() {
   elements.modalClose.addEventListener('click', closeModal);
   elements.sameProjectBtn.addEventListener('click', () => startWorkflow(false));
   elements.newProjectBtn.addEventListener('click', () => startWorkflow(true));
-  
-  // Listen for messages from background
-  chrome.runtime.onMessage.addListener(handleBackgroundMessage);
 }
 
 // ============================================
@@ -190,9 +335,91 @@ async function checkConnection() {
   }
 }
 
+async function handlePickElements() {
+  const response = await sendMessage({ type: 'START_PICKER' });
+  if (response && response.success) {
+    // The popup would swallow the clicks meant for the page
+    window.close();
+  } else {
+    showToast('Open Google Flow in a tab first', 'warning');
+  }
+}
+
+// ============================================
+// PREFLIGHT DIAGNOSTICS
+// ============================================
+// Without these nothing can be submitted. A missing project or settings
+// panel only warns, and the panel says so: from Flow's landing page New
+// Project opens one, and prompts use Flow's current settings.
+const BLOCKING_CHECKS = ['extension', 'tab', 'login', 'input', 'button'];
+
+function isBlockingCheck(check) {
+  return !check.ok && BLOCKING_CHECKS.includes(check.id);
+}
+
+async function runDiagnostics() {
+  elements.checkPageBtn.disabled = true;
+  elements.checkPageBtn.textContent = 'Checking...';
+  
+  const response = await sendMessage({ type: 'RUN_DIAGNOSTICS' });
+  
+  elements.checkPageBtn.disabled = false;
+  elements.checkPageBtn.textContent = 'Check page';
+  
+  const report = (response && response.report) || {
+    ok: false,
+    checks: [{ id: 'extension', label: 'Extension', ok: false, detail: 'The background script did not answer' }]
+  };
+  renderDiagnostics(report);
+  return report;
+}
+
+function renderDiagnostics(report) {
+  const blocking = report.checks.filter(isBlockingCheck);
+  const warnings = report.checks.filter(check => !check.ok && !isBlockingCheck(check));
+  
+  elements.diagnosticsPanel.style.display = 'block';
+  elements.diagnosticsPanel.classList.toggle('failed', blocking.length > 0);
+  elements.diagnosticsPanel.classList.toggle('warning', blocking.length === 0 && warnings.length > 0);
+  
+  if (blocking.length > 0) {
+    elements.diagnosticsSummary.textContent = `${blocking.length} check(s) failed; Run is blocked until they pass. Problems are highlighted on the Flow page.`;
+  } else if (warnings.length > 0) {
+    elements.diagnosticsSummary.textContent = `${warnings.length} warning(s); Run can still start. Choose New Project if no project is open.`;
+  } else {
+    elements.diagnosticsSummary.textContent = 'Page ready: all checks passed';
+  }
+  
+  elements.diagnosticsList.innerHTML = report.checks.map(check => {
+    const status = check.ok ? 'ok' : (isBlockingCheck(check) ? 'failed' : 'warning');
+    const mark = { ok: '✓', failed: '✕', warning: '!' }[status];
+    const note = status === 'warning' ? ' (warning only, Run is not blocked)' : '';
+    return `
+    <li class="${status}">
+      <strong>${mark} ${escapeHtml(check.label)}</strong>
+      <span>${escapeHtml(check.detail + note)}</span>
+    </li>
+  `;
+  }).join('');
+}
+
 // ============================================
 // OUTPUT SELECTION
 // ============================================
+function updateModeSelection(mediaType) {
+  elements.modeBtns.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === mediaType);
+  });
+  elements.videoOptions.style.display = mediaType === 'video' ? 'flex' : 'none';
+  elements.outputCountLabel.textContent = mediaType === 'video' ? 'Videos per Prompt' : 'Images per Prompt';
+}
+
+function updateAspectSelection(aspectRatio) {
+  elements.aspectBtns.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.aspect === aspectRatio);
+  });
+}
+
 function updateOutputSelection(count) {
   elements.outputBtns.forEach(btn => {
     btn.classList.toggle('active', parseInt(btn.dataset.count) === count);
@@ -208,14 +435,59 @@ async function selectDownloadFolder() {
   const folderName = prompt('Enter folder name for downloads (will be created in Downloads):', 'FlowGenerations');
   
   if (folderName) {
-    state.settings.downloadFolder = folderName;
     elements.downloadFolder.value = `Downloads/${folderName}`;
-    saveState();
-    sendMessage({ type: 'UPDATE_SETTINGS', settings: state.settings });
+    updateSettings({ downloadFolder: folderName });
     showToast('Download folder set successfully', 'success');
   }
 }
 
+// ============================================
+// PACING
+// ============================================
+function updatePacing() {
+  const maxInFlight = clampNumber(elements.maxInFlight.value, 1, 10, 3);
+  const intervalSeconds = clampNumber(elements.submitGap.value, 0, 300, 2);
+  
+  elements.maxInFlight.value = maxInFlight;
+  elements.submitGap.value = intervalSeconds;
+  
+  updateSettings({ maxInFlight, intervalSeconds });
+}
+
+function updateRetryPolicy() {
+  const retry = {
+    maxAttempts: clampNumber(elements.retryMaxAttempts.value, 1, 10, 3),
+    baseDelaySeconds: clampNumber(elements.retryBaseDelay.value, 0, 3600, 30),
+    retryOn: [...elements.retryClassInputs]
+      .filter(input => input.checked)
+      .map(input => input.value)
+  };
+  
+  elements.retryMaxAttempts.value = retry.maxAttempts;
+  elements.retryBaseDelay.value = retry.baseDelaySeconds;
+  
+  updateSettings({ retry });
+}
+
+function updateCircuitBreaker() {
+  const circuitBreaker = {
+    maxConsecutiveFailures: clampNumber(elements.breakerConsecutive.value, 1, 50, 5),
+    windowSize: clampNumber(elements.breakerWindow.value, 1, 100, 20),
+    maxFailureRate: clampNumber(elements.breakerRate.value, 0, 100, 60)
+  };
+  
+  elements.breakerConsecutive.value = circuitBreaker.maxConsecutiveFailures;
+  elements.breakerWindow.value = circuitBreaker.windowSize;
+  elements.breakerRate.value = circuitBreaker.maxFailureRate;
+  
+  updateSettings({ circuitBreaker });
+}
+
+function dismissAlert() {
+  elements.alertBanner.style.display = 'none';
+  return sendMessage({ type: 'DISMISS_ALERT' });
+}
+
 // ============================================
 // FILE PARSING
 // ============================================
@@ -254,15 +526,20 @@ async function processFiles(files) {
   let totalPrompts = 0;
   
   for (const file of files) {
+    // Spreadsheets go through the column mapping step instead
+    if (TABLE_EXTENSIONS.includes(getExtension(file))) {
+      queueTableImport(file);
+      continue;
+    }
+    
     try {
       const prompts = await parseFile(file);
       if (prompts.length > 0) {
-        addPrompts(prompts);
-        totalPrompts += prompts.length;
+        totalPrompts += await addPrompts(prompts);
       }
     } catch (error) {
       console.error(`Failed to parse ${file.name}:`, error);
-      showToast(`Failed to parse ${file.name}`, 'error');
+      showToast(`Failed to parse ${file.name}: ${error.message}`, 'error');
     }
   }
   
@@ -271,8 +548,12 @@ async function processFiles(files) {
   }
 }
 
+function getExtension(file) {
+  return file.name.split('.').pop().toLowerCase();
+}
+
 async function parseFile(file) {
-  const extension = file.name.split('.').pop().toLowerCase();
+  const extension = getExtension(file);
   
   switch (extension) {
     case 'txt':
@@ -290,87 +571,300 @@ async function parseFile(file) {
 
 async function parseTextFile(file) {
   const text = await file.text();
-  return text.split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0);
+  return splitPrompts(text, readSplitOptions());
 }
 
 async function parseDocFile(file) {
-  // For .docx files, we'll use a basic XML parsing approach
-  // The actual implementation would use mammoth.js library
   const arrayBuffer = await file.arrayBuffer();
   
-  try {
-    // Try to extract text from docx (which is a zip file with XML)
-    const text = await extractTextFromDocx(arrayBuffer);
-    return text.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
-  } catch (error) {
-    // Fallback: try reading as plain text
-    const decoder = new TextDecoder();
-    const text = decoder.decode(arrayBuffer);
-    return text.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0 && !line.includes('<?xml') && line.length < 500);
+  // .docx is a zip archive; the old binary .doc format is not
+  if (!isZip(arrayBuffer)) {
+    throw new Error('Only .docx is supported; save the document as .docx first');
   }
+  
+  const paragraphs = await extractDocxParagraphs(arrayBuffer);
+  return paragraphs
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
+async function parsePdfFile(file) {
+  const arrayBuffer = await file.arrayBuffer();
+  const paragraphs = await extractPdfParagraphs(arrayBuffer);
+  return paragraphs
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
 }
 
-async function extractTextFromDocx(arrayBuffer) {
-  // Basic docx text extraction
-  // For production, use mammoth.js library
-  const uint8Array = new Uint8Array(arrayBuffer);
-  const decoder = new TextDecoder();
-  const content = decoder.decode(uint8Array);
+// ============================================
+// PROMPT SPLITTING
+// Pasted text and .txt files are cut by the chosen mode. The preview
+// follows the paste box as it is edited, so the cut can be checked
+// before anything is added.
+// ============================================
+const SPLIT_PREVIEW_LIMIT = 5;
+
+function readSplitOptions() {
+  return {
+    mode: elements.splitMode.value,
+    delimiter: elements.splitDelimiter.value
+  };
+}
+
+function updateSplitOptions() {
+  const split = readSplitOptions();
+  elements.splitDelimiter.style.display = split.mode === 'delimiter' ? '' : 'none';
+  updateSplitPreview();
+  updateSettings({ split });
+}
+
+function updateSplitPreview() {
+  const text = elements.pasteInput.value;
+  const preview = elements.splitPreview;
+  
+  if (!text.trim()) {
+    preview.style.display = 'none';
+    preview.innerHTML = '';
+    return;
+  }
   
-  // Try to find text content in the docx XML
-  const textMatches = content.match(/<w:t[^>]*>([^<]+)<\/w:t>/g);
+  const options = readSplitOptions();
+  const prompts = splitPrompts(text, options);
+  preview.style.display = 'flex';
   
-  if (textMatches) {
-    return textMatches
-      .map(match => match.replace(/<\/?w:t[^>]*>/g, ''))
-      .join(' ')
-      .split(/[\n\r]+/)
-      .map(line => line.trim())
-      .filter(line => line.length > 0)
-      .join('\n');
+  if (prompts.length === 0) {
+    preview.innerHTML = options.mode === 'delimiter'
+      ? '<span>Enter the text that separates two prompts</span>'
+      : '<span>No prompts found</span>';
+    return;
   }
   
-  throw new Error('Could not extract text from docx');
+  const items = prompts.slice(0, SPLIT_PREVIEW_LIMIT).map((prompt, i) => `
+    <div class="split-preview-item">
+      <span class="split-scene">${escapeHtml(prompt.scene ? `Scene ${prompt.scene}` : `#${i + 1}`)}</span>
+      <span class="split-text">${escapeHtml(prompt.text)}</span>
+    </div>
+  `).join('');
+  const more = prompts.length > SPLIT_PREVIEW_LIMIT
+    ? `<span>…and ${prompts.length - SPLIT_PREVIEW_LIMIT} more</span>`
+    : '';
+  
+  preview.innerHTML = `<span>${prompts.length} prompt(s) will be added</span>${items}${more}`;
 }
 
-async function parsePdfFile(file) {
-  // For PDF files, we'll provide a warning and try basic extraction
-  showToast('PDF parsing is limited. For best results, use .txt files.', 'warning');
+// ============================================
+// COLUMN MAPPING
+// CSV, TSV and JSON files are scene lists: each row is one prompt and the
+// user picks which column fills which prompt field before anything is
+// added. Several files are mapped one after another.
+// ============================================
+// Patterns match whole column names, so "Word count" or "Reference notes"
+// stay unmapped and are left to the dropdowns
+const IMPORT_FIELDS = [
+  { key: 'text', label: 'Prompt', pattern: /^((image|video) )?(prompts?|text|description)$/ },
+  { key: 'scene', label: 'Scene number', pattern: /^((scene|shot)( (no\.?|nr\.?|number|#|id))?|#|no\.?|nr\.?|number)$/ },
+  { key: 'references', label: 'Reference images', pattern: /^(ref(erence)?s?( (images?|files?))?|image files?)$/ },
+  { key: 'aspectRatio', label: 'Aspect ratio', pattern: /^(aspect( ratio)?|ratio|orientation)$/ },
+  { key: 'outputCount', label: 'Outputs', pattern: /^(outputs?( count)?|count|variations|quantity|qty|number of (images|outputs|variations))$/ },
+  { key: 'model', label: 'Model', pattern: /^((image|video) )?model$/ },
+  { key: 'downloadFolder', label: 'Folder', pattern: /^((download|output) )?(folder|directory)$/ }
+];
+
+const ASPECT_RATIO_ALIASES = {
+  landscape: ['landscape', '16:9', '16x9', 'wide', 'horizontal'],
+  portrait: ['portrait', '9:16', '9x16', 'tall', 'vertical'],
+  square: ['square', '1:1', '1x1']
+};
+
+const pendingTableFiles = [];
+let tableImport = null;
+
+function queueTableImport(file) {
+  pendingTableFiles.push(file);
+  if (!tableImport) openNextTableImport();
+}
+
+async function openNextTableImport() {
+  while (pendingTableFiles.length > 0) {
+    const file = pendingTableFiles.shift();
+    try {
+      const table = parseTable(await file.text(), getExtension(file));
+      tableImport = { file, table };
+      elements.importHasHeader.checked = table.hasHeader;
+      elements.importHeaderToggle.style.display = table.headerRow ? 'flex' : 'none';
+      elements.importMappingTitle.textContent = `Map columns: ${file.name}`;
+      renderImportMapping();
+      elements.importMapping.style.display = 'flex';
+      return;
+    } catch (error) {
+      console.error(`Failed to parse ${file.name}:`, error);
+      showToast(`Failed to parse ${file.name}: ${error.message}`, 'error');
+    }
+  }
+  closeImportMapping();
+}
+
+function closeImportMapping() {
+  tableImport = null;
+  elements.importMapping.style.display = 'none';
+  elements.importMappingFields.innerHTML = '';
+  if (pendingTableFiles.length > 0) openNextTableImport();
+}
+
+function renderImportMapping() {
+  const { columns, rows } = getTableView(tableImport.table, elements.importHasHeader.checked);
+  const mapping = guessColumnMapping(columns, rows);
+  
+  const option = (value, label, current) =>
+    `<option value="${value}"${value === current ? ' selected' : ''}>${label}</option>`;
+  
+  elements.importMappingFields.innerHTML = columns.map((column, i) => {
+    const sample = (rows.find(row => row[i].trim()) || [])[i] || '';
+    return `
+      <div class="mapping-row">
+        <div class="mapping-column">
+          <strong>${escapeHtml(column)}</strong>
+          <span title="${escapeHtml(sample)}">${escapeHtml(sample) || '&nbsp;'}</span>
+        </div>
+        <select data-column="${i}">
+          ${option('', 'Ignore', mapping[i])}
+          ${IMPORT_FIELDS.map(field => option(field.key, field.label, mapping[i])).join('')}
+        </select>
+      </div>
+    `;
+  }).join('');
   
-  const arrayBuffer = await file.arrayBuffer();
-  const decoder = new TextDecoder();
-  const content = decoder.decode(arrayBuffer);
-  
-  // Try to extract visible text from PDF
-  const textMatches = content.match(/\(([^)]+)\)/g);
-  
-  if (textMatches) {
-    const lines = textMatches
-      .map(match => match.slice(1, -1))
-      .filter(text => text.length > 10 && !text.includes('\\') && /^[\x20-\x7E\s]+$/.test(text))
-      .join(' ')
-      .split(/[\n\r.!?]+/)
-      .map(line => line.trim())
-      .filter(line => line.length > 20);
-    
-    if (lines.length > 0) {
-      return lines;
+  updateImportPreview();
+}
+
+/**
+ * Pick a field for each column from its name. Each field goes to one
+ * column at most; without a prompt column the one with the longest text
+ * is taken.
+ */
+function guessColumnMapping(columns, rows) {
+  const mapping = columns.map(() => '');
+  
+  const names = columns.map(normalizeColumnName);
+  
+  IMPORT_FIELDS.forEach(field => {
+    const index = names.findIndex((name, i) => !mapping[i] && field.pattern.test(name));
+    if (index !== -1) mapping[index] = field.key;
+  });
+  
+  if (!mapping.includes('text')) {
+    const lengths = columns.map((_, i) => rows.reduce((total, row) => total + row[i].length, 0));
+    const free = lengths.map((length, i) => (mapping[i] ? -1 : length));
+    const longest = free.indexOf(Math.max(...free));
+    if (longest !== -1 && free[longest] > 0) mapping[longest] = 'text';
+  }
+  
+  return mapping;
+}
+
+function normalizeColumnName(column) {
+  // "Aspect_Ratio", "aspect-ratio" and JSON's "aspectRatio" read alike
+  return column
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, ' ')
+    .replace(/:$/, '')
+    .trim();
+}
+
+function readColumnMapping() {
+  const mapping = {};
+  elements.importMappingFields.querySelectorAll('select[data-column]').forEach(select => {
+    // The first column chosen for a field wins
+    if (select.value && mapping[select.value] === undefined) {
+      mapping[select.value] = Number(select.dataset.column);
     }
+  });
+  return mapping;
+}
+
+function updateImportPreview() {
+  const { rows } = getTableView(tableImport.table, elements.importHasHeader.checked);
+  const mapping = readColumnMapping();
+  const preview = elements.importMappingPreview;
+  
+  if (mapping.text === undefined) {
+    preview.textContent = 'Choose the column that holds the prompt text';
+    preview.classList.add('invalid');
+    elements.importConfirmBtn.disabled = true;
+    return;
+  }
+  
+  const entries = buildImportEntries(rows, mapping);
+  const first = entries[0];
+  preview.classList.remove('invalid');
+  preview.textContent = `${entries.length} prompt(s)` + (first
+    ? ` · first: ${first.scene ? `Scene ${first.scene}: ` : ''}${first.text.slice(0, 60)}`
+    : '');
+  elements.importConfirmBtn.disabled = entries.length === 0;
+}
+
+/**
+ * Turn mapped rows into ADD_PROMPTS entries. Settings for imported
+ * prompts apply to every row; values from the sheet take precedence.
+ */
+function buildImportEntries(rows, mapping) {
+  const defaults = readOverrideFields(elements.importOverrideFields);
+  const cell = (row, key) => (mapping[key] === undefined ? '' : row[mapping[key]].trim());
+  
+  return rows
+    .filter(row => cell(row, 'text').length > 0)
+    .map(row => {
+      const entry = { text: cell(row, 'text') };
+      
+      const overrides = { ...defaults };
+      const aspectRatio = normalizeAspectRatio(cell(row, 'aspectRatio'));
+      if (aspectRatio) overrides.aspectRatio = aspectRatio;
+      const outputCount = parseInt(cell(row, 'outputCount'));
+      if (outputCount >= 1 && outputCount <= 4) overrides.outputCount = outputCount;
+      ['model', 'downloadFolder'].forEach(key => {
+        if (cell(row, key)) overrides[key] = cell(row, key);
+      });
+      if (Object.keys(overrides).length > 0) entry.overrides = overrides;
+      
+      if (cell(row, 'scene')) entry.scene = cell(row, 'scene');
+      
+      const references = cell(row, 'references').split(/[;,\n]/).map(name => name.trim()).filter(Boolean);
+      if (references.length > 0) entry.referenceNames = references;
+      
+      return entry;
+    });
+}
+
+function normalizeAspectRatio(value) {
+  const lower = value.toLowerCase().replace(/\s+/g, '');
+  return Object.keys(ASPECT_RATIO_ALIASES).find(key => ASPECT_RATIO_ALIASES[key].includes(lower)) || '';
+}
+
+async function confirmImportMapping() {
+  const { file, table } = tableImport;
+  const { rows } = getTableView(table, elements.importHasHeader.checked);
+  const entries = buildImportEntries(rows, readColumnMapping());
+  
+  const response = await sendMessage({ type: 'ADD_PROMPTS', texts: entries });
+  if (response && response.success) {
+    const withReferences = entries.filter(entry => entry.referenceNames).length;
+    showToast(
+      `Added ${response.added} prompts from ${file.name}` +
+        (withReferences > 0 ? '. Use "Match images to scenes" to attach the images it names' : ''),
+      'success'
+    );
+  } else {
+    showToast(`Failed to add prompts from ${file.name}`, 'error');
   }
   
-  throw new Error('Could not extract text from PDF. Please use a .txt file instead.');
+  closeImportMapping();
 }
 
 // ============================================
 // PROMPT MANAGEMENT
 // ============================================
-function addPastedPrompts() {
+async function addPastedPrompts() {
   const text = elements.pasteInput.value.trim();
   
   if (!text) {
@@ -378,32 +872,306 @@ function addPastedPrompts() {
     return;
   }
   
-  const prompts = text.split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0);
+  const prompts = splitPrompts(text, readSplitOptions());
+  if (prompts.length === 0) {
+    showToast('No prompts found with this split mode', 'warning');
+    return;
+  }
   
-  if (prompts.length > 0) {
-    addPrompts(prompts);
-    elements.pasteInput.value = '';
-    showToast(`Added ${prompts.length} prompt(s)`, 'success');
+  const added = await addPrompts(prompts);
+  elements.pasteInput.value = '';
+  updateSplitPreview();
+  showToast(`Added ${added} prompt(s)`, 'success');
+}
+
+/**
+ * Queue prompts in the background store. Takes texts, or { text, scene }
+ * entries from the splitter.
+ * Resolves with the number of prompts added; the list re-renders from the
+ * PROMPTS_UPDATED message that follows.
+ */
+async function addPrompts(newPrompts) {
+  // Settings chosen under "Settings for imported prompts" go on every prompt
+  const overrides = readOverrideFields(elements.importOverrideFields);
+  const entries = newPrompts.map(prompt => {
+    const entry = typeof prompt === 'string' ? { text: prompt } : { text: prompt.text };
+    if (prompt.scene) entry.scene = prompt.scene;
+    if (Object.keys(overrides).length > 0) entry.overrides = overrides;
+    return entry;
+  });
+  
+  const response = await sendMessage({ type: 'ADD_PROMPTS', texts: entries });
+  return response && response.success ? response.added : 0;
+}
+
+// ============================================
+// REFERENCE IMAGES AND FRAMES
+// Images are read into data URLs here and stored by the background worker
+// with the queue. Scene numbers are the ones imported from a sheet, or
+// else prompt IDs, as in the download names. Start/end frames turn a
+// prompt into a frames-to-video generation.
+// ============================================
+let referenceTargetId = null;
+
+function handlePromptListClick(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+  
+  const promptId = Number(button.closest('.prompt-item').dataset.id);
+  
+  if (button.dataset.action === 'attach-references') {
+    referenceTargetId = promptId;
+    elements.referenceFileInput.click();
+  } else if (button.dataset.action === 'clear-references') {
+    setReferences([{ promptId, references: [] }]);
+  } else if (button.dataset.action === 'edit-overrides') {
+    editingPromptId = editingPromptId === promptId ? null : promptId;
+    renderPromptsList();
+  } else if (button.dataset.action === 'save-overrides') {
+    const fields = button.closest('.prompt-overrides');
+    editingPromptId = null;
+    setOverrides([promptId], readOverrideFields(fields, true));
+  } else if (button.dataset.action === 'clear-overrides') {
+    editingPromptId = null;
+    setOverrides([promptId], null);
+  } else if (button.dataset.action === 'attach-frames') {
+    referenceTargetId = promptId;
+    elements.frameFileInput.click();
+  } else if (button.dataset.action === 'clear-frames') {
+    setFrames(promptId, null);
   }
 }
 
-function addPrompts(newPrompts) {
-  const startIndex = state.prompts.length;
+async function handleFrameFiles(e) {
+  const files = [...e.target.files];
+  e.target.value = ''; // Reset input
+  if (referenceTargetId === null || files.length === 0) return;
   
-  const promptObjects = newPrompts.map((text, index) => ({
-    id: startIndex + index + 1,
-    text: text,
-    status: 'pending', // pending, submitted, completed, failed
-    createdAt: Date.now()
-  }));
+  if (files.length > 2) {
+    showToast('Pick a start frame and at most one end frame', 'warning');
+    return;
+  }
   
-  state.prompts.push(...promptObjects);
-  saveState();
-  renderPromptsList();
-  updateStats();
-  sendMessage({ type: 'UPDATE_PROMPTS', prompts: state.prompts });
+  const frames = await readFrames(files);
+  const saved = await setFrames(referenceTargetId, frames);
+  referenceTargetId = null;
+  
+  if (saved) {
+    showToast(frames.end ? 'Start and end frames set' : 'Start frame set', 'success');
+  }
+}
+
+async function readFrames(files) {
+  // Names decide when they can; otherwise the first name in order starts
+  const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  const named = role => sorted.find(file => getFrameRole(file.name) === role);
+  const startFile = named('start') || sorted.find(file => file !== named('end')) || sorted[0];
+  const endFile = sorted.find(file => file !== startFile) || null;
+  
+  return {
+    start: await readReferenceFile(startFile),
+    end: endFile ? await readReferenceFile(endFile) : null
+  };
+}
+
+function getFrameRole(filename) {
+  const base = filename.replace(/\.[^.]+$/, '');
+  if (/(^|[\s_-])(start|first)([\s_-]|$)/i.test(base)) return 'start';
+  if (/(^|[\s_-])(end|last)([\s_-]|$)/i.test(base)) return 'end';
+  return null;
+}
+
+async function handleReferenceFiles(e) {
+  const files = [...e.target.files];
+  e.target.value = ''; // Reset input
+  if (referenceTargetId === null || files.length === 0) return;
+  
+  const references = await Promise.all(files.map(readReferenceFile));
+  const updated = await setReferences([{ promptId: referenceTargetId, references }]);
+  referenceTargetId = null;
+  
+  if (updated > 0) {
+    showToast(`Attached ${references.length} reference image(s)`, 'success');
+  }
+}
+
+async function handleReferenceFolder(e) {
+  const files = [...e.target.files].filter(file => file.type.startsWith('image/'));
+  e.target.value = ''; // Reset input
+  
+  // Files named in a prompt's sheet row go to that prompt. The rest are
+  // grouped by the scene number in their name; "start"/"end" names are
+  // frames, everything else is a reference image
+  const byScene = new Map();
+  const framesByScene = new Map();
+  let unmatched = 0;
+  
+  const addTo = (target, promptId, file) => {
+    if (!target.has(promptId)) target.set(promptId, []);
+    target.get(promptId).push(file);
+  };
+  
+  files.forEach(file => {
+    const named = state.prompts.filter(p => (p.referenceNames || []).some(name => isSameFileName(name, file.name)));
+    if (named.length > 0) {
+      named.forEach(prompt => addTo(byScene, prompt.id, file));
+      return;
+    }
+    
+    const prompt = findPromptByScene(getSceneNumber(file.name));
+    if (!prompt) {
+      unmatched++;
+      return;
+    }
+    addTo(getFrameRole(file.name) ? framesByScene : byScene, prompt.id, file);
+  });
+  
+  if (byScene.size === 0 && framesByScene.size === 0) {
+    showToast('No image names matched a scene number', 'warning');
+    return;
+  }
+  
+  const assignments = [];
+  for (const [promptId, sceneFiles] of byScene) {
+    sceneFiles.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    assignments.push({ promptId, references: await Promise.all(sceneFiles.map(readReferenceFile)) });
+  }
+  
+  for (const [promptId, frameFiles] of framesByScene) {
+    const startFile = frameFiles.find(file => getFrameRole(file.name) === 'start');
+    const endFile = frameFiles.find(file => getFrameRole(file.name) === 'end');
+    if (!startFile) {
+      unmatched += frameFiles.length;
+      continue;
+    }
+    await setFrames(promptId, {
+      start: await readReferenceFile(startFile),
+      end: endFile ? await readReferenceFile(endFile) : null
+    });
+  }
+  
+  const updated = assignments.length > 0 ? await setReferences(assignments) : 0;
+  showToast(
+    `Attached images to ${updated + framesByScene.size} scene(s)` + (unmatched > 0 ? `, ${unmatched} file(s) unmatched` : ''),
+    unmatched > 0 ? 'warning' : 'success'
+  );
+}
+
+function getSceneNumber(filename) {
+  // "Scene 3.png", "scene_03_b.jpg", "shot-12.webp" and "07 hero.png" all match
+  const base = filename.replace(/\.[^.]+$/, '');
+  const match = base.match(/^(?:scene|shot|s)?[\s_-]*0*(\d+)(?!\d)/i);
+  return match ? parseInt(match[1]) : null;
+}
+
+function findPromptByScene(scene) {
+  if (scene === null) return null;
+  // Scene numbers from a sheet come first, then prompt IDs of the rest
+  return state.prompts.find(p => p.scene !== undefined && /^\d+$/.test(p.scene) && parseInt(p.scene) === scene)
+    || state.prompts.find(p => p.scene === undefined && p.id === scene)
+    || null;
+}
+
+function isSameFileName(name, filename) {
+  // A sheet may leave out the extension or name a path
+  const base = value => value.split(/[\\/]/).pop().toLowerCase();
+  const stem = value => base(value).replace(/\.[^.]+$/, '');
+  return base(name) === base(filename) || (!/\./.test(base(name)) && base(name) === stem(filename));
+}
+
+function readReferenceFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({ name: file.name, type: file.type, dataUrl: reader.result });
+    reader.onerror = () => reject(reader.error || new Error(`Failed to read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+async function setReferences(assignments) {
+  const response = await sendMessage({ type: 'SET_REFERENCES', assignments });
+  if (!response || !response.success) {
+    showToast('Failed to save reference images', 'error');
+    return 0;
+  }
+  return response.updated;
+}
+
+// ============================================
+// PER-PROMPT OVERRIDES
+// Output count, aspect ratio, model and folder can be set per prompt; the
+// background merges them over the global settings at submit time.
+// ============================================
+let editingPromptId = null;
+
+function renderOverrideFields(overrides) {
+  const option = (value, label, current) =>
+    `<option value="${value}"${String(current || '') === String(value) ? ' selected' : ''}>${label}</option>`;
+  
+  return `
+    <label>Outputs
+      <select data-override="outputCount">
+        ${option('', 'Default', overrides.outputCount)}
+        ${[1, 2, 3, 4].map(n => option(n, n, overrides.outputCount)).join('')}
+      </select>
+    </label>
+    <label>Aspect ratio
+      <select data-override="aspectRatio">
+        ${option('', 'Default', overrides.aspectRatio)}
+        ${option('landscape', 'Landscape', overrides.aspectRatio)}
+        ${option('portrait', 'Portrait', overrides.aspectRatio)}
+        ${option('square', 'Square', overrides.aspectRatio)}
+      </select>
+    </label>
+    <label>Model
+      <input type="text" data-override="model" list="modelSuggestions" placeholder="Default" value="${escapeHtml(overrides.model || '')}">
+    </label>
+    <label>Folder
+      <input type="text" data-override="downloadFolder" placeholder="Default" value="${escapeHtml(overrides.downloadFolder || '')}">
+    </label>
+  `;
+}
+
+/**
+ * Read override inputs inside a container. Empty fields are left out, or
+ * sent as '' with keepEmpty so the background drops that override.
+ */
+function readOverrideFields(container, keepEmpty = false) {
+  const overrides = {};
+  container.querySelectorAll('[data-override]').forEach(field => {
+    const value = field.value.trim();
+    if (value || keepEmpty) {
+      overrides[field.dataset.override] = value;
+    }
+  });
+  return overrides;
+}
+
+function formatOverrides(overrides) {
+  const parts = [];
+  if (overrides.outputCount) parts.push(`${overrides.outputCount}×`);
+  if (overrides.aspectRatio) parts.push(overrides.aspectRatio);
+  if (overrides.model) parts.push(overrides.model);
+  if (overrides.downloadFolder) parts.push(`📁 ${overrides.downloadFolder}`);
+  return parts.join(' · ');
+}
+
+async function setOverrides(promptIds, overrides) {
+  const response = await sendMessage({ type: 'SET_OVERRIDES', promptIds, overrides });
+  if (!response || !response.success) {
+    showToast('Failed to save prompt settings', 'error');
+    return 0;
+  }
+  return response.updated;
+}
+
+async function setFrames(promptId, frames) {
+  const response = await sendMessage({ type: 'SET_FRAMES', promptId, frames });
+  if (!response || !response.success) {
+    showToast('Failed to save frames', 'error');
+    return false;
+  }
+  return true;
 }
 
 function renderPromptsList() {
@@ -423,8 +1191,8 @@ function renderPromptsList() {
   });
   
   // Scroll to current item if running
-  if (state.workflow.status === 'running' && state.workflow.currentIndex > 0) {
-    const currentItem = elements.promptsList.children[state.workflow.currentIndex - 1];
+  if (state.workflow.status === 'running') {
+    const currentItem = elements.promptsList.children[state.workflow.currentIndex];
     if (currentItem) {
       currentItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
@@ -448,6 +1216,9 @@ function createPromptItem(prompt, number) {
     case 'failed':
       statusHtml = '<span class="check-mark">✓</span><span class="cross-mark">✕</span>';
       break;
+    case 'retrying':
+      statusHtml = '<span class="retry-mark">↻</span>';
+      break;
     case 'processing':
       statusHtml = '<span class="spinner"></span>';
       break;
@@ -455,23 +1226,66 @@ function createPromptItem(prompt, number) {
       statusHtml = '<span class="pending-dot">○</span>';
   }
   
+  const attempts = prompt.attempts || [];
+  const attemptHtml = attempts.length > 1 || prompt.status === 'retrying' || prompt.status === 'failed'
+    ? `<span class="attempt-badge" title="${escapeHtml(formatAttemptHistory(prompt))}">×${attempts.length}</span>`
+    : '';
+  
+  const references = prompt.references || [];
+  const referenceHtml = references.length > 0
+    ? `<button class="reference-btn attached" data-action="attach-references" title="${escapeHtml(references.map(ref => ref.name).join('\n'))}">🖼${references.length}</button>
+       <button class="reference-clear" data-action="clear-references" title="Remove reference images">✕</button>`
+    : `<button class="reference-btn" data-action="attach-references" title="${escapeHtml(prompt.referenceNames
+        ? `Attach reference images\nNamed in the sheet: ${prompt.referenceNames.join(', ')}`
+        : 'Attach reference images')}">🖼+</button>`;
+  
+  const frames = prompt.frames;
+  const frameHtml = frames
+    ? `<button class="reference-btn attached" data-action="attach-frames" title="${escapeHtml(`Start: ${frames.start.name}` + (frames.end ? `\nEnd: ${frames.end.name}` : ''))}">🎞${frames.end ? 2 : 1}</button>
+       <button class="reference-clear" data-action="clear-frames" title="Remove frames">✕</button>`
+    : '<button class="reference-btn" data-action="attach-frames" title="Set start/end frames for frames-to-video">🎞+</button>';
+  
+  const overrides = prompt.overrides || {};
+  const overrideSummary = formatOverrides(overrides);
+  const overrideHtml = `<button class="reference-btn${overrideSummary ? ' attached' : ''}" data-action="edit-overrides" title="${escapeHtml(overrideSummary || 'Settings for this prompt')}">⚙</button>`;
+  const editorHtml = editingPromptId === prompt.id
+    ? `<div class="prompt-overrides">
+         <div class="override-fields">${renderOverrideFields(overrides)}</div>
+         <div class="override-actions">
+           <button data-action="clear-overrides">Use defaults</button>
+           <button data-action="save-overrides">Save</button>
+         </div>
+       </div>`
+    : '';
+  
   item.innerHTML = `
-    <div class="prompt-number">${number}</div>
+    <div class="prompt-number"${prompt.scene ? ` title="Scene ${escapeHtml(prompt.scene)}"` : ''}>${prompt.scene ? escapeHtml(prompt.scene) : number}</div>
     <div class="prompt-status">${statusHtml}</div>
     <div class="prompt-text" title="${escapeHtml(prompt.text)}">${escapeHtml(prompt.text)}</div>
+    ${attemptHtml}
+    ${referenceHtml}
+    ${frameHtml}
+    ${overrideHtml}
+    ${editorHtml}
   `;
   
   return item;
 }
 
-function updatePromptStatus(promptId, status) {
-  const prompt = state.prompts.find(p => p.id === promptId);
-  if (prompt) {
-    prompt.status = status;
-    saveState();
-    renderPromptsList();
-    updateStats();
+function formatAttemptHistory(prompt) {
+  const lines = (prompt.attempts || []).map((attempt, i) => {
+    const time = new Date(attempt.startedAt).toLocaleTimeString();
+    const result = attempt.outcome === 'failed'
+      ? `failed (${attempt.errorCode || attempt.errorClass}): ${attempt.error}`
+      : attempt.outcome || 'in progress';
+    return `Attempt ${i + 1} at ${time}: ${result}`;
+  });
+  
+  if (prompt.status === 'retrying' && prompt.retryAt) {
+    lines.push(`Next retry at ${new Date(prompt.retryAt).toLocaleTimeString()}`);
   }
+  
+  return lines.join('\n');
 }
 
 function updateStats() {
@@ -487,12 +1301,25 @@ function updateStats() {
 // ============================================
 // WORKFLOW CONTROL
 // ============================================
-function handleRun() {
+async function handleRun() {
   if (state.prompts.length === 0) {
     showToast('Please add some prompts first', 'warning');
     return;
   }
   
+  // Preflight: don't start against a page the content script can't drive
+  const report = await runDiagnostics();
+  const blocking = report.checks.find(isBlockingCheck);
+  if (blocking) {
+    showToast(`Run blocked: ${blocking.label}. ${blocking.detail}`, 'error');
+    return;
+  }
+  
+  const warning = report.checks.find(check => !check.ok);
+  if (warning) {
+    showToast(`${warning.label}: ${warning.detail}`, 'warning');
+  }
+  
   // Check if resuming or starting fresh
   const pendingPrompts = state.prompts.filter(p => p.status === 'pending');
   const submittedPrompts = state.prompts.filter(p => p.status === 'submitted' || p.status === 'completed');
@@ -506,8 +1333,7 @@ function handleRun() {
     if (resume) {
       resumeWorkflow();
     } else {
-      resetWorkflow();
-      showProjectModal();
+      resetWorkflow().then(showProjectModal);
     }
   } else {
     showProjectModal();
@@ -539,104 +1365,48 @@ async function startWorkflow(createNewProject) {
   }
 }
 
-function initiateWorkflow() {
-  state.workflow.status = 'running';
-  state.workflow.startTime = Date.now() - (state.workflow.elapsedSeconds * 1000);
-  
-  updateWorkflowUI();
-  saveState();
-  
-  sendMessage({
-    type: 'START_WORKFLOW',
-    prompts: state.prompts,
-    settings: state.settings,
-    startIndex: state.workflow.currentIndex
-  });
+async function initiateWorkflow() {
+  const response = await sendMessage({ type: 'START_WORKFLOW' });
   
-  startTimerUpdate();
-  showToast('Workflow started!', 'success');
+  if (response && response.success) {
+    showToast('Workflow started!', 'success');
+  }
 }
 
-function resumeWorkflow() {
-  state.workflow.status = 'running';
-  state.workflow.startTime = Date.now() - (state.workflow.elapsedSeconds * 1000);
-  
-  updateWorkflowUI();
-  saveState();
-  
-  sendMessage({
-    type: 'RESUME_WORKFLOW',
-    currentIndex: state.workflow.currentIndex
-  });
+async function resumeWorkflow() {
+  const response = await sendMessage({ type: 'RESUME_WORKFLOW' });
   
-  startTimerUpdate();
-  showToast('Workflow resumed!', 'success');
+  if (response && response.success) {
+    showToast('Workflow resumed!', 'success');
+  }
 }
 
-function handlePause() {
-  state.workflow.status = 'paused';
-  state.workflow.elapsedSeconds = Math.floor((Date.now() - state.workflow.startTime) / 1000);
-  
-  updateWorkflowUI();
-  saveState();
-  
-  sendMessage({ type: 'PAUSE_WORKFLOW' });
-  stopTimerUpdate();
+async function handlePause() {
+  await sendMessage({ type: 'PAUSE_WORKFLOW' });
   showToast('Workflow paused', 'warning');
 }
 
-function handleStop() {
+async function handleStop() {
   if (confirm('Are you sure you want to stop the workflow? Progress will be saved.')) {
-    state.workflow.status = 'stopped';
-    state.workflow.elapsedSeconds = Math.floor((Date.now() - state.workflow.startTime) / 1000);
-    
-    updateWorkflowUI();
-    saveState();
-    
-    sendMessage({ type: 'STOP_WORKFLOW' });
-    stopTimerUpdate();
+    await sendMessage({ type: 'STOP_WORKFLOW' });
     showToast('Workflow stopped', 'error');
   }
 }
 
-function handleClear() {
+async function handleClear() {
   if (state.workflow.status === 'running') {
     showToast('Cannot clear while workflow is running', 'error');
     return;
   }
   
   if (confirm('Are you sure you want to clear all prompts?')) {
-    state.prompts = [];
-    state.workflow = {
-      status: 'idle',
-      currentIndex: 0,
-      startTime: null,
-      elapsedSeconds: 0
-    };
-    
-    saveState();
-    renderPromptsList();
-    updateStats();
-    updateWorkflowUI();
-    
-    sendMessage({ type: 'CLEAR_ALL' });
+    await sendMessage({ type: 'CLEAR_ALL' });
     showToast('All prompts cleared', 'success');
   }
 }
 
 function resetWorkflow() {
-  state.prompts.forEach(p => {
-    p.status = 'pending';
-  });
-  state.workflow = {
-    status: 'idle',
-    currentIndex: 0,
-    startTime: null,
-    elapsedSeconds: 0
-  };
-  saveState();
-  renderPromptsList();
-  updateStats();
+  return sendMessage({ type: 'RESET_WORKFLOW' });
 }
 
 // ============================================
@@ -644,11 +1414,13 @@ function resetWorkflow() {
 // ============================================
 function updateWorkflowUI() {
   const { status } = state.workflow;
+  const isThrottled = isCoolingDown();
   
   // Update status indicator
-  elements.statusIndicator.className = `status-indicator ${status}`;
-  elements.statusIndicator.querySelector('.status-text').textContent = 
-    status.charAt(0).toUpperCase() + status.slice(1);
+  elements.statusIndicator.className = `status-indicator ${isThrottled ? 'throttled' : status}`;
+  elements.statusIndicator.querySelector('.status-text').textContent = isThrottled
+    ? 'Throttled'
+    : status.charAt(0).toUpperCase() + status.slice(1);
   
   // Update buttons
   elements.runBtn.disabled = status === 'running';
@@ -677,9 +1449,38 @@ function updateWorkflowUI() {
   elements.progressSection.style.display = 
     (status === 'running' || status === 'paused') ? 'block' : 'none';
   
+  updateThrottleNotice();
+  updateAlertBanner();
   updateProgressBar();
 }
 
+function isCoolingDown() {
+  const { throttle } = state.workflow;
+  return Boolean(throttle && throttle.until > Date.now());
+}
+
+function updateThrottleNotice() {
+  const { throttle } = state.workflow;
+  
+  if (!throttle) {
+    elements.throttleNotice.style.display = 'none';
+    return;
+  }
+  
+  const reason = throttle.code === 'QUOTA_EXHAUSTED' ? 'Out of credits' : 'Rate limited';
+  elements.throttleNotice.textContent = isCoolingDown()
+    ? `${reason}: submits paused, retrying at ${new Date(throttle.until).toLocaleTimeString()}`
+    : `${reason} earlier: running at reduced pace (level ${throttle.level})`;
+  elements.throttleNotice.style.display = 'block';
+}
+
+function updateAlertBanner() {
+  const { alert } = state.workflow;
+  
+  elements.alertBanner.style.display = alert ? 'flex' : 'none';
+  elements.alertMessage.textContent = alert ? alert.message : '';
+}
+
 function updateProgressBar() {
   const total = state.prompts.length;
   
@@ -723,11 +1524,19 @@ function stopTimerUpdate() {
   }
 }
 
+function getElapsedSeconds() {
+  const { elapsedMs, runStartedAt } = state.workflow;
+  const runningMs = runStartedAt ? Date.now() - runStartedAt : 0;
+  return Math.floor((elapsedMs + runningMs) / 1000);
+}
+
 function updateTimers() {
-  if (!state.workflow.startTime) return;
+  elements.elapsedTime.textContent = formatTime(getElapsedSeconds());
   
-  const elapsed = Math.floor((Date.now() - state.workflow.startTime) / 1000);
-  elements.elapsedTime.textContent = formatTime(elapsed);
+  // A cooldown can end between two updates from the background
+  if (state.workflow.throttle && elements.statusIndicator.classList.contains('throttled') !== isCoolingDown()) {
+    updateWorkflowUI();
+  }
   
   // Calculate remaining time based on submitted prompts (more accurate)
   const total = state.prompts.length;
@@ -737,7 +1546,10 @@ function updateTimers() {
   const processed = submitted + completed + failed;
   const remaining = total - processed;
   
-  if (processed > 0 && remaining > 0) {
+  if (state.throughput.etaSeconds !== null && remaining > 0) {
+    // Measured by the background from recently finished prompts
+    elements.remainingTime.textContent = formatTime(state.throughput.etaSeconds);
+  } else if (processed > 0 && remaining > 0) {
     // Use interval setting (2 seconds) for more accurate estimation
     const intervalSeconds = state.settings.intervalSeconds || 2;
     const estimatedRemaining = remaining * intervalSeconds;
@@ -751,6 +1563,10 @@ function updateTimers() {
     elements.remainingTime.textContent = formatTime(estimatedTotal);
   }
   
+  elements.throughputRate.textContent = state.throughput.perHour > 0
+    ? `${state.throughput.perHour}/h`
+    : '--';
+  
   // Update progress bar on each tick
   updateProgressBar();
 }
@@ -780,30 +1596,53 @@ async function sendMessage(message) {
   }
 }
 
-function handleBackgroundMessage(message, sender, sendResponse) {
+function handlePortMessage(message) {
   switch (message.type) {
-    case 'PROMPT_SUBMITTED':
-      updatePromptStatus(message.promptId, 'submitted');
-      state.workflow.currentIndex = message.currentIndex;
-      saveState();
+    case 'SNAPSHOT':
+      state.prompts = message.state.prompts;
+      state.workflow = message.state.workflow;
+      state.throughput = message.state.throughput;
+      applySettings(message.state.settings);
+      updateUI();
+      replayEvents(message.events);
       break;
       
-    case 'PROMPT_COMPLETED':
-      updatePromptStatus(message.promptId, 'completed');
+    case 'PROMPTS_REPLACED':
+      state.prompts = message.prompts;
+      renderPromptsList();
       updateProgressBar();
       break;
       
-    case 'PROMPT_FAILED':
-      updatePromptStatus(message.promptId, 'failed');
+    case 'PROMPTS_UPDATED':
+      message.prompts.forEach(updated => {
+        const index = state.prompts.findIndex(p => p.id === updated.id);
+        if (index === -1) return;
+        
+        state.prompts[index] = updated;
+        const item = elements.promptsList.querySelector(`.prompt-item[data-id="${updated.id}"]`);
+        if (item) {
+          item.replaceWith(createPromptItem(updated, index + 1));
+        }
+      });
       updateProgressBar();
       break;
       
-    case 'WORKFLOW_COMPLETED':
-      state.workflow.status = 'completed';
-      updateWorkflowUI();
-      stopTimerUpdate();
-      saveState();
-      showToast('Workflow completed!', 'success');
+    case 'WORKFLOW_UPDATED':
+      state.workflow = message.workflow;
+      updateUI();
+      break;
+      
+    case 'SETTINGS_UPDATED':
+      applySettings(message.settings);
+      break;
+      
+    case 'THROUGHPUT':
+      state.throughput = message.throughput;
+      updateTimers();
+      break;
+      
+    case 'EVENT':
+      showToast(message.event.message, message.event.level);
       break;
       
     case 'CONNECTION_STATUS':
@@ -817,14 +1656,14 @@ function handleBackgroundMessage(message, sender, sendResponse) {
         elements.projectStatus.classList.remove('connected');
       }
       break;
-      
-    case 'ERROR':
-      showToast(message.error, 'error');
-      break;
   }
-  
-  sendResponse({ received: true });
-  return true;
+}
+
+function replayEvents(events) {
+  // Show what happened while the popup was closed, one toast at a time
+  events.forEach((event, i) => {
+    setTimeout(() => showToast(event.message, event.level), i * 3200);
+  });
 }
 
 // ============================================
@@ -833,7 +1672,14 @@ function handleBackgroundMessage(message, sender, sendResponse) {
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // Also used inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = parseInt(value);
+  if (isNaN(number)) return fallback;
+  return Math.min(Math.max(number, min), max);
 }
 
 function showToast(message, type = 'info') {
@@ -854,6 +1700,9 @@ function updateUI() {
   
   if (state.workflow.status === 'running') {
     startTimerUpdate();
+  } else {
+    stopTimerUpdate();
+    updateTimers();
   }
 }
 